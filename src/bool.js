@@ -1,9 +1,11 @@
 import { TYPES } from './value.js';
 import Literal from './literal.js';
+import { ParseError } from './error.js';
 
 /**
  * @typedef {import('./stream.js')} Stream
  * @typedef {import('./value.js')} Value
+ * @typedef {import('./value.js').ValueJSON} ValueJSON
  */
 
 /**
@@ -25,6 +27,25 @@ export default class Bool extends Literal {
 		return match && new Bool(match === 'T');
 	}
 
+	/**
+	 * Recreates a `Bool` from `json`, if it's the JSON of one.
+	 *
+	 * @param {ValueJSON} json The JSON of the value.
+	 * @return {Bool?} The `Bool`, or `null` if `json` isn't a boolean.
+	 * @throws {ParseError} Thrown if the value isn't `true` or `false`.
+	 */
+	static fromJSON(json) {
+		if (json.kind !== 'boolean') {
+			return null;
+		}
+
+		if (typeof json.value !== 'boolean') {
+			throw new ParseError(`Invalid boolean: ${JSON.stringify(json.value)}`);
+		}
+
+		return new Bool(json.value);
+	}
+
 	/**
 	 * Provides a debugging representation of this class.
 	 *
@@ -34,6 +55,15 @@ export default class Bool extends Literal {
 		return this.toString();
 	}
 
+	/**
+	 * Returns this boolean as JSON.
+	 *
+	 * @return {ValueJSON}
+	 */
+	toJSON() {
+		return { kind: 'boolean', value: this._data, span: this.span?.toJSON() ?? null };
+	}
+
 	/**
 	 * Converts this class to a JavaScript Array, according to the Knight specs.
 	 *
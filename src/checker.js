@@ -0,0 +1,266 @@
+import { withArticle } from './value.js';
+import Func, { BUILTINS } from './func.js';
+import Ident from './ident.js';
+import Int from './int.js';
+import Str from './str.js';
+import Bool from './bool.js';
+import Null from './null.js';
+import List from './list.js';
+import Literal from './literal.js';
+import Interpreter from './interpreter.js';
+
+/**
+ * @typedef {import('./value.js').default} Value
+ * @typedef {import('./span.js').default} Span
+ */
+
+/**
+ * A call that always fails, found by `check`.
+ *
+ * @typedef {Object} Problem
+ * @property {string} message What the problem is.
+ * @property {Span} span Where the call is.
+ * @property {Array<string>} types The types the call's first argument can be, none of which support
+ *                                 the function.
+ */
+
+/*
+ * The types that values can have, as bits, so that sets of them are numbers. Blocks are the result
+ * of `B` (unless its argument is a literal, which it returns), which are the only other values that
+ * can be evaluated to.
+ */
+const INT = 1;
+const STR = 2;
+const BOOL = 4;
+const NULL = 8;
+const LIST = 16;
+const BLOCK = 32;
+const ANY = INT | STR | BOOL | NULL | LIST | BLOCK;
+
+/**
+ * The name of each type, in the order they're listed in messages.
+ *
+ * @private
+ * @type {Array<[number, string]>}
+ */
+const TYPE_NAMES = [
+	[INT, 'Int'], [STR, 'Str'], [BOOL, 'Bool'], [NULL, 'Null'], [LIST, 'List'], [BLOCK, 'Block'],
+];
+
+/**
+ * The types of the literals that can be parsed.
+ *
+ * @private
+ * @type {Array<[function, number]>}
+ */
+const LITERALS = [[Int, INT], [Str, STR], [Bool, BOOL], [Null, NULL], [List, LIST]];
+
+/**
+ * The functions that evaluate their first argument and call a method on it, and the types that
+ * have that method.
+ *
+ * @private
+ * @type {Object.<string, number>}
+ */
+const SUPPORTED = {
+	'+': INT | STR | LIST,
+	'-': INT,
+	'*': INT | STR | LIST,
+	'/': INT,
+	'%': INT,
+	'^': INT | LIST,
+	'<': INT | STR | BOOL | LIST,
+	'>': INT | STR | BOOL | LIST,
+	'[': STR | LIST,
+	']': STR | LIST,
+	G: STR | LIST,
+	S: STR | LIST,
+	A: INT | STR,
+};
+
+/**
+ * The types that each builtin can return, given the types its arguments can evaluate to and the
+ * call itself.
+ *
+ * Functions that always fail, such as `- "a" 1` and `Q`, return no types. The elements of lists,
+ * and what blocks and `E` return, aren't tracked, so they can be any type.
+ *
+ * @private
+ * @type {Object.<string, function(Array<number>, Func): number>}
+ */
+const RESULTS = {
+	P: () => STR | NULL,
+	R: () => INT,
+	E: () => ANY,
+	B: ([body], { args }) => args[0] instanceof Literal ? body : BLOCK,
+	C: () => ANY,
+	$: () => STR,
+	Q: () => 0,
+	'!': () => BOOL,
+	L: () => INT,
+	D: ([value]) => value,
+	O: () => NULL,
+	'~': () => INT,
+	',': () => LIST,
+	'[': ([collection]) => (collection & STR) | (collection & LIST ? ANY : 0),
+	']': ([collection]) => collection & (STR | LIST),
+	A: ([value]) => (value & INT ? STR : 0) | (value & STR ? INT : 0),
+	'+': ([lhs]) => lhs & (INT | STR | LIST),
+	'-': ([lhs]) => lhs & INT,
+	'*': ([lhs]) => lhs & (INT | STR | LIST),
+	'/': ([lhs]) => lhs & INT,
+	'%': ([lhs]) => lhs & INT,
+	'^': ([lhs]) => (lhs & INT) | (lhs & LIST ? STR : 0),
+	'<': () => BOOL,
+	'>': () => BOOL,
+	'?': () => BOOL,
+	'&': ([lhs, rhs]) => lhs | rhs,
+	'|': ([lhs, rhs]) => lhs | rhs,
+	';': ([, rhs]) => rhs,
+	'=': ([, value]) => value,
+	W: () => NULL,
+	I: ([, iftrue, iffalse]) => iftrue | iffalse,
+	G: ([collection]) => collection & (STR | LIST),
+	S: ([collection]) => collection & (STR | LIST),
+};
+
+/**
+ * Returns every value in `value`, in the order they appear in the source code.
+ *
+ * @private
+ * @param {Value} value The value to walk.
+ * @return {Array<Value>}
+ */
+function walk(value) {
+	return value instanceof Func ? [value, ...value.args.flatMap(walk)] : [value];
+}
+
+/**
+ * Returns whether `func` is one of the builtins, rather than a function that's been registered.
+ *
+ * @private
+ * @param {Func} func The function to check.
+ * @return {boolean}
+ */
+function isBuiltin(func) {
+	return Object.hasOwn(BUILTINS, func.name) && func.func === BUILTINS[func.name];
+}
+
+/**
+ * Returns the names of the types in `types`.
+ *
+ * @private
+ * @param {number} types The types, as bits.
+ * @return {Array<string>}
+ */
+function typeNames(types) {
+	return TYPE_NAMES.filter(([type]) => types & type).map(([, name]) => name);
+}
+
+/**
+ * Works out the types that each value in `program` can evaluate to, as bits.
+ *
+ * Variables can have the type of anything that's assigned to them anywhere in the program, and
+ * are assigned to repeatedly until that no longer changes. If the program uses `E`, assigns to
+ * something other than an identifier, or uses functions that aren't builtins, any variable could
+ * be assigned anything, so they can have any type.
+ *
+ * @private
+ * @param {Value} program The program.
+ * @return {Map<Value, number>}
+ */
+function inferBits(program) {
+	const values = walk(program);
+	const isDynamic = values.some(value => value instanceof Func && (value.name === 'E' || !isBuiltin(value)
+		|| (value.name === '=' && !(value.args[0] instanceof Ident))));
+	const variables = new Map();
+	let types;
+
+	const typeOf = value => {
+		let type;
+
+		if (value instanceof Func) {
+			const args = value.args.map(typeOf);
+			type = isBuiltin(value) ? RESULTS[value.name](args, value) : ANY;
+		} else if (value instanceof Ident) {
+			type = isDynamic ? ANY : variables.get(value.name) ?? 0;
+		} else {
+			type = LITERALS.find(([literal]) => value instanceof literal)?.[1] ?? ANY;
+		}
+
+		types.set(value, type);
+		return type;
+	};
+
+	for (let changed = true; changed;) {
+		types = new Map();
+		typeOf(program);
+		changed = false;
+
+		for (const value of values) {
+			if (value instanceof Func && value.name === '=' && value.args[0] instanceof Ident) {
+				const { name } = value.args[0];
+				const type = (variables.get(name) ?? 0) | types.get(value.args[1]);
+
+				if (type !== (variables.get(name) ?? 0)) {
+					variables.set(name, type);
+					changed = true;
+				}
+			}
+		}
+	}
+
+	return types;
+}
+
+/**
+ * Works out the types that each value in `program` can evaluate to, without running it.
+ *
+ * Types are `Int`, `Str`, `Bool`, `Null`, `List`, and `Block` (the result of `B`). A value with no
+ * types never evaluates to anything, eg because it always fails, or because it's a variable that's
+ * never assigned.
+ *
+ * @param {Value} program The parsed program.
+ * @return {Map<Value, Array<string>>} The names of the types each value can evaluate to.
+ */
+export function infer(program) {
+	return new Map(Array.from(inferBits(program), ([value, types]) => [value, typeNames(types)]));
+}
+
+/**
+ * Checks `source` for calls that always fail because their first argument's type doesn't support
+ * them, eg `- "a" 1` or `[ 5`, without running it.
+ *
+ * Only calls that fail whichever type their first argument evaluates to are found; see `infer`.
+ *
+ * @param {string} source The code to check.
+ * @param {Object} [options]
+ * @param {string} [options.filename] The name of the file `source` came from; used in problems.
+ * @param {Interpreter} [options.interpreter] The interpreter whose functions are used to parse
+ *                                            `source`; defaults to one with only the builtins.
+ * @return {Array<Problem>} The calls that always fail, in the order they appear in `source`.
+ * @throws {ParseError} Thrown if `source` isn't valid Knight code.
+ */
+export function check(source, { filename, interpreter = new Interpreter() } = {}) {
+	const program = interpreter.parse(source, filename);
+	const types = inferBits(program);
+	const problems = [];
+
+	for (const value of walk(program)) {
+		if (!(value instanceof Func) || !isBuiltin(value) || !Object.hasOwn(SUPPORTED, value.name)) {
+			continue;
+		}
+
+		const receiver = types.get(value.args[0]);
+
+		if (receiver !== 0 && (receiver & SUPPORTED[value.name]) === 0) {
+			const names = typeNames(receiver);
+
+			const message = `cannot '${value.name}' ${names.map(withArticle).join(' or ')}`;
+
+			problems.push({ message, span: value.span, types: names });
+		}
+	}
+
+	return problems;
+}
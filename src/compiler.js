@@ -0,0 +1,402 @@
+import Func, { BUILTINS } from './func.js';
+import Ident from './ident.js';
+
+/**
+ * @typedef {import('./value.js').default} Value
+ */
+
+/**
+ * The list of enclosing `Func`s at some point in the code, innermost first.
+ *
+ * This is used to build Knight call traces that match the ones from `Func.run`.
+ *
+ * @typedef {Object} Chain
+ * @property {Func} node The innermost `Func`.
+ * @property {Chain?} parent The `Func`s enclosing `node`.
+ */
+
+/**
+ * The instructions that the `VM` understands.
+ *
+ * Each opcode is followed by its operands (if any) in the `code` of a `Chunk`. Operands named `k`
+ * are indices into the chunk's `constants`, and operands named `target` are indices into `code`.
+ *
+ * @enum {number}
+ */
+export const Op = Object.freeze({
+	/** `CONST k`: Pushes `constants[k]`. */
+	CONST: 0,
+	/** `NULL`: Pushes a new `Null`. */
+	NULL: 1,
+	/** `LOAD k`: Pushes the result of running the `Ident` `constants[k]`. */
+	LOAD: 2,
+	/** `STORE k`: Assigns the top of the stack to the `Ident` `constants[k]`, without popping. */
+	STORE: 3,
+	/** `POP`: Discards the top of the stack. */
+	POP: 4,
+	/** `JUMP target`: Continues execution at `target`. */
+	JUMP: 5,
+	/** `JUMP_IF_FALSE target`: Pops the stack, and jumps to `target` if it was falsey. */
+	JUMP_IF_FALSE: 6,
+	/** `AND target`: Jumps to `target` if the top of the stack is falsey; otherwise, pops it. */
+	AND: 7,
+	/** `OR target`: Jumps to `target` if the top of the stack is truthy; otherwise, pops it. */
+	OR: 8,
+	/** `CALL k n`: Pops `n` arguments, and pushes the result of calling the `Func` `constants[k]`. */
+	CALL: 9,
+	/** `CALL_BLOCK`: Pops a value, and pushes the result of running it, as per `C`. */
+	CALL_BLOCK: 10,
+	/** `EVAL k`: Pops a value, and pushes the result of evaluating it, as per the `E` at `constants[k]`. */
+	EVAL: 11,
+	/** `RUN k`: Pushes the result of running `constants[k]` without compiling it. */
+	RUN: 12,
+
+	// The following pop their operands and push the result of the builtin of the same name.
+
+	/** `ADD`: As per `+`. */
+	ADD: 13,
+	/** `SUB`: As per `-`. */
+	SUB: 14,
+	/** `MUL`: As per `*`. */
+	MUL: 15,
+	/** `DIV`: As per `/`. */
+	DIV: 16,
+	/** `MOD`: As per `%`. */
+	MOD: 17,
+	/** `POW`: As per `^`. */
+	POW: 18,
+	/** `LTH`: As per `<`. */
+	LTH: 19,
+	/** `GTH`: As per `>`. */
+	GTH: 20,
+	/** `EQL`: As per `?`. */
+	EQL: 21,
+	/** `NOT`: As per `!`. */
+	NOT: 22,
+
+	// The following combine common sequences of opcodes.
+
+	/** `ASSIGN k`: Like `STORE k` followed by `POP`. */
+	ASSIGN: 23,
+	/** `JUMP_UNLESS_LTH target`: Like `LTH` followed by `JUMP_IF_FALSE target`. */
+	JUMP_UNLESS_LTH: 24,
+	/** `JUMP_UNLESS_GTH target`: Like `GTH` followed by `JUMP_IF_FALSE target`. */
+	JUMP_UNLESS_GTH: 25,
+
+	/** `STEP k`: Counts the `Func` `constants[k]` as a step towards its interpreter's budget. */
+	STEP: 26,
+});
+
+/**
+ * A compiled piece of Knight code.
+ */
+export class Chunk {
+	/**
+	 * The opcodes and their operands.
+	 *
+	 * @type {Array<number>}
+	 */
+	code = [];
+
+	/**
+	 * The values referenced by the `code`.
+	 *
+	 * @type {Array<*>}
+	 */
+	constants = [];
+
+	/**
+	 * The `Func`s enclosing each opcode in `code`, indexed by the opcode's position.
+	 *
+	 * @type {Array<Chain?>}
+	 */
+	chains = [];
+}
+
+/**
+ * The functions whose arguments are each evaluated exactly once, from left to right.
+ *
+ * These are compiled to `CALL`s which pass the already-evaluated arguments to the builtin.
+ *
+ * @private
+ * @type {Set<string>}
+ */
+const STRICT = new Set('PRQ!LDO~,[]A$+-*/%^<>?GS');
+
+/**
+ * The strict functions that the `VM` implements itself, rather than calling the builtin.
+ *
+ * @private
+ * @type {Object.<string, Op>}
+ */
+const OPERATORS = {
+	'+': Op.ADD,
+	'-': Op.SUB,
+	'*': Op.MUL,
+	'/': Op.DIV,
+	'%': Op.MOD,
+	'^': Op.POW,
+	'<': Op.LTH,
+	'>': Op.GTH,
+	'?': Op.EQL,
+	'!': Op.NOT,
+};
+
+/**
+ * Lowers a tree of `Value`s into a `Chunk`.
+ *
+ * @private
+ */
+class Compiler {
+	/** @type {Chunk} */
+	chunk = new Chunk();
+
+	/**
+	 * Whether to emit `STEP`s.
+	 *
+	 * @type {boolean}
+	 */
+	#counted;
+
+	/**
+	 * The index of each value within the chunk's constants.
+	 *
+	 * @type {Map<*, number>}
+	 */
+	#constants = new Map();
+
+	/**
+	 * @param {boolean} counted Whether to emit a `STEP` at the start of each function.
+	 */
+	constructor(counted) {
+		this.#counted = counted;
+	}
+
+	/**
+	 * Appends `op` and its `operands` to the chunk.
+	 *
+	 * @param {Chain?} chain The `Func`s enclosing the opcode.
+	 * @param {Op} op The opcode.
+	 * @param {...number} operands The opcode's operands.
+	 * @return {number} The position after the opcode and operands.
+	 */
+	emit(chain, op, ...operands) {
+		this.chunk.chains[this.chunk.code.length] = chain;
+		this.chunk.code.push(op, ...operands);
+
+		return this.chunk.code.length;
+	}
+
+	/**
+	 * Returns the index of `value` in the chunk's constants, adding it if it's not there.
+	 *
+	 * @param {*} value The constant.
+	 * @return {number}
+	 */
+	constant(value) {
+		let index = this.#constants.get(value);
+
+		if (index === undefined) {
+			index = this.chunk.constants.push(value) - 1;
+			this.#constants.set(value, index);
+		}
+
+		return index;
+	}
+
+	/**
+	 * Sets the target of the jump that was emitted right before `position` to the current position.
+	 *
+	 * @param {number} position The position returned from `emit`ting the jump.
+	 */
+	patch(position) {
+		this.chunk.code[position - 1] = this.chunk.code.length;
+	}
+
+	/**
+	 * Returns whether `value` is a `Func` with the standard semantics of the builtin `name`.
+	 *
+	 * @param {Value} value The value to check.
+	 * @param {string} name The name of the builtin.
+	 * @return {boolean}
+	 */
+	isBuiltin(value, name) {
+		return value instanceof Func && value.name === name && value.func === BUILTINS[name];
+	}
+
+	/**
+	 * Emits a `STEP` for `func`, if steps are being counted.
+	 *
+	 * This is emitted at the start of each function, and each iteration of `W`.
+	 *
+	 * @param {Func} func The function that's being compiled.
+	 * @param {Chain} link The `Func`s enclosing the opcode, starting with `func`.
+	 */
+	step(func, link) {
+		if (this.#counted) {
+			this.emit(link, Op.STEP, this.constant(func));
+		}
+	}
+
+	/**
+	 * Compiles `value` such that running the code runs `value`, but discards the result.
+	 *
+	 * @param {Value} value The value to compile.
+	 * @param {Chain?} chain The `Func`s enclosing `value`.
+	 */
+	compileDiscarded(value, chain) {
+		if (this.isBuiltin(value, '=') && value.args[0] instanceof Ident) {
+			const link = { node: value, parent: chain };
+
+			this.step(value, link);
+			this.compile(value.args[1], link);
+			this.emit(link, Op.ASSIGN, this.constant(value.args[0]));
+		} else {
+			this.compile(value, chain);
+			this.emit(chain, Op.POP);
+		}
+	}
+
+	/**
+	 * Compiles `value` such that running the code jumps if `value` is falsey.
+	 *
+	 * @param {Value} value The condition to compile.
+	 * @param {Chain?} chain The `Func`s enclosing `value`.
+	 * @return {number} The position after the jump, to be passed to `patch`.
+	 */
+	compileCondition(value, chain) {
+		for (const [name, op] of [['<', Op.JUMP_UNLESS_LTH], ['>', Op.JUMP_UNLESS_GTH]]) {
+			if (this.isBuiltin(value, name)) {
+				const link = { node: value, parent: chain };
+
+				this.step(value, link);
+				this.compile(value.args[0], link);
+				this.compile(value.args[1], link);
+				return this.emit(link, op, -1);
+			}
+		}
+
+		this.compile(value, chain);
+		return this.emit(chain, Op.JUMP_IF_FALSE, -1);
+	}
+
+	/**
+	 * Compiles `value` such that running the code pushes the result of running `value`.
+	 *
+	 * @param {Value} value The value to compile.
+	 * @param {Chain?} chain The `Func`s enclosing `value`.
+	 */
+	compile(value, chain) {
+		if (value instanceof Ident) {
+			this.emit(chain, Op.LOAD, this.constant(value));
+			return;
+		}
+
+		if (!(value instanceof Func)) {
+			// All other values are literals, which evaluate to themselves.
+			this.emit(chain, Op.CONST, this.constant(value));
+			return;
+		}
+
+		const [first, second, third] = value.args;
+
+		// Functions that don't have their standard semantics, and assignments to things other than
+		// identifiers, are simply run as-is.
+		if (!this.isBuiltin(value, value.name) || (value.name === '=' && !(first instanceof Ident))) {
+			this.emit(chain, Op.RUN, this.constant(value));
+			return;
+		}
+
+		const link = { node: value, parent: chain };
+		let jump, loop;
+
+		this.step(value, link);
+
+		switch (value.name) {
+		case 'B':
+			this.emit(link, Op.CONST, this.constant(first));
+			break;
+
+		case 'C':
+			this.compile(first, link);
+			this.emit(link, Op.CALL_BLOCK);
+			break;
+
+		case 'E':
+			this.compile(first, link);
+			this.emit(link, Op.EVAL, this.constant(value));
+			break;
+
+		case ';':
+			this.compileDiscarded(first, link);
+			this.compile(second, link);
+			break;
+
+		case '=':
+			this.compile(second, link);
+			this.emit(link, Op.STORE, this.constant(first));
+			break;
+
+		case 'W':
+			loop = this.chunk.code.length;
+			jump = this.compileCondition(first, link);
+			this.step(value, link);
+			this.compileDiscarded(second, link);
+			this.emit(link, Op.JUMP, loop);
+			this.patch(jump);
+			this.emit(link, Op.NULL);
+			break;
+
+		case 'I':
+			jump = this.compileCondition(first, link);
+			this.compile(second, link);
+			loop = this.emit(link, Op.JUMP, -1);
+			this.patch(jump);
+			this.compile(third, link);
+			this.patch(loop);
+			break;
+
+		case '&':
+		case '|':
+			this.compile(first, link);
+			jump = this.emit(link, value.name === '&' ? Op.AND : Op.OR, -1);
+			this.compile(second, link);
+			this.patch(jump);
+			break;
+
+		default:
+			if (!STRICT.has(value.name)) {
+				this.emit(chain, Op.RUN, this.constant(value));
+				break;
+			}
+
+			for (const arg of value.args) {
+				this.compile(arg, link);
+			}
+
+			if (value.name in OPERATORS) {
+				this.emit(link, OPERATORS[value.name]);
+			} else {
+				this.emit(link, Op.CALL, this.constant(value), value.args.length);
+			}
+		}
+	}
+}
+
+/**
+ * Compiles `value` into a `Chunk` that can be executed by the `VM`.
+ *
+ * Running the chunk has the same effect as calling `value.run()`.
+ *
+ * @param {Value} value The value to compile.
+ * @param {Object} [options]
+ * @param {boolean} [options.counted] Whether the chunk counts the steps that `value.run()` would.
+ * @return {Chunk}
+ */
+export default function compile(value, { counted = false } = {}) {
+	const compiler = new Compiler(counted);
+
+	compiler.compile(value, null);
+
+	return compiler.chunk;
+}
@@ -0,0 +1,420 @@
+import Func from './func.js';
+import Ident from './ident.js';
+
+/**
+ * @typedef {import('./span.js').default} Span
+ * @typedef {import('./value.js').default} Value
+ */
+
+/**
+ * A parsed value, along with how many times it's been run.
+ *
+ * @private
+ * @typedef {Object} Node
+ * @property {Span} span Where the value is.
+ * @property {number} hits How many times it's been run.
+ */
+
+/**
+ * Where a program can go one of two ways, eg the branches of an `I`.
+ *
+ * @private
+ * @typedef {Object} Branch
+ * @property {string} name The name of the function that branches.
+ * @property {Node} node The function itself.
+ * @property {Node} arg The argument that's only run sometimes: the second argument of `&`, `|`,
+ *                      and `W`, or the first branch of `I`.
+ * @property {Node?} other With `I`, its second branch.
+ */
+
+/**
+ * A `B`lock.
+ *
+ * @private
+ * @typedef {Object} Block
+ * @property {string} name The identifier the block is assigned to, or `B`, followed by where it is.
+ * @property {Node} node The `B` itself.
+ * @property {Node} body The body of the block.
+ */
+
+/**
+ * A file that has been run.
+ *
+ * @private
+ * @typedef {Object} File
+ * @property {string} source Its source code.
+ * @property {Map<number, Node>} nodes Every value in the file, keyed by its offset.
+ * @property {Array<Branch>} branches Every branching function in the file.
+ * @property {Array<Block>} blocks Every block in the file.
+ */
+
+/**
+ * The arguments of functions that are only run sometimes, rather than every time the function is.
+ *
+ * @private
+ * @type {Object.<string, Array<number>>}
+ */
+const CONDITIONAL = { B: [0], I: [1, 2], '&': [1], '|': [1], W: [1] };
+
+/**
+ * Returns whether running `value` is reported to tracers, ie whether it's a `Func` or `Ident`.
+ *
+ * @private
+ * @param {Value} value The value to check.
+ * @return {boolean}
+ */
+function isTraced(value) {
+	return value instanceof Func || value instanceof Ident;
+}
+
+/**
+ * Records which parts of programs are run, eg to find the branch of an `I` that never is.
+ *
+ * When an `Interpreter` is given a `Coverage`, every program it runs is passed to `parse` (other
+ * than code run by `E`), and each `Func` and `Ident` reports when it's run. Literals don't, so
+ * they're counted as run whenever the function they're an argument to is, except for the
+ * arguments that are only run sometimes (see `CONDITIONAL`), which are counted when they're the
+ * result of their function.
+ *
+ * Results are grouped by filename, and can be written as an lcov tracefile via `lcov`, or as
+ * annotated source code via `annotate`. Running a file again adds to its counts, unless its source
+ * code changed.
+ *
+ * Only the tree-walking interpreter supports coverage, as neither the VM nor transpiled JavaScript
+ * runs `Func`s directly.
+ */
+export default class Coverage {
+	/**
+	 * Every file that has been run, keyed by filename.
+	 *
+	 * @type {Map<string, File>}
+	 */
+	#files = new Map();
+
+	/**
+	 * The node of each value that has been parsed.
+	 *
+	 * @type {WeakMap<Value, Node>}
+	 */
+	#nodes = new WeakMap();
+
+	/**
+	 * The bodies of blocks that aren't `Func`s or `Ident`s, which are run when they're called.
+	 *
+	 * @type {WeakSet<Value>}
+	 */
+	#bodies = new WeakSet();
+
+	/**
+	 * How many times the condition of each `W` that's running had been run when it started.
+	 *
+	 * @type {Array<number>}
+	 */
+	#loops = [];
+
+	/**
+	 * Called with each program that's about to be run, to record every value in it.
+	 *
+	 * Programs without spans (eg recreated from JSON without their source code) aren't recorded,
+	 * since there's nothing to report their coverage against.
+	 *
+	 * @param {Value} value The program.
+	 */
+	parse(value) {
+		if (value.span === null) {
+			return;
+		}
+
+		const { filename, source } = value.span;
+		let file = this.#files.get(filename);
+
+		if (file === undefined || file.source !== source) {
+			file = { source, nodes: new Map(), branches: [], blocks: [] };
+			this.#files.set(filename, file);
+		}
+
+		this.#add(file, value, null);
+	}
+
+	/**
+	 * Called before `func` is run, to count it along with its arguments that don't report when
+	 * they're run, other than those that are only run sometimes.
+	 *
+	 * @param {Func} func The function that's about to run.
+	 */
+	enter(func) {
+		const node = this.#nodes.get(func);
+
+		if (node === undefined) {
+			return;
+		}
+
+		node.hits++;
+
+		const conditional = CONDITIONAL[func.name] ?? [];
+
+		func.args.forEach((arg, index) => {
+			if (!isTraced(arg) && !conditional.includes(index)) {
+				this.#nodes.get(arg).hits++;
+			}
+		});
+
+		if (func.name === 'W') {
+			this.#loops.push(this.#nodes.get(func.args[0]).hits);
+		}
+	}
+
+	/**
+	 * Called after `func` has run, to count its arguments that are only run sometimes and don't
+	 * report when they're run, and (if it's a `C`) the body of the block it ran.
+	 *
+	 * @param {Func} func The function that was run.
+	 * @param {Value} [result] What `func` returned, or `undefined` if it failed.
+	 */
+	leave(func, result) {
+		if (!this.#nodes.has(func)) {
+			return;
+		}
+
+		// `I`, `&`, and `|` return the argument they run.
+		if (func.name === 'I' || func.name === '&' || func.name === '|') {
+			const index = func.args.indexOf(result);
+
+			if (index > 0 && !isTraced(result)) {
+				this.#nodes.get(result).hits++;
+			}
+		}
+
+		if (func.name === 'W') {
+			const [condition, body] = func.args;
+			const conditionHits = this.#nodes.get(condition).hits - this.#loops.pop();
+
+			// The body is run once less than the condition, which is run once more to end the loop.
+			if (!isTraced(body) && isTraced(condition)) {
+				this.#nodes.get(body).hits += Math.max(0, conditionHits - 1);
+			}
+		}
+
+		if (func.name === 'C' && this.#bodies.has(result)) {
+			this.#nodes.get(result).hits++;
+		}
+	}
+
+	/**
+	 * Called before `ident` is read, to count it.
+	 *
+	 * @param {Ident} ident The identifier that's read.
+	 */
+	read(ident) {
+		const node = this.#nodes.get(ident);
+
+		if (node !== undefined) {
+			node.hits++;
+		}
+	}
+
+	/**
+	 * Called before `ident` is assigned, to count it.
+	 *
+	 * @param {Ident} ident The identifier that's assigned.
+	 */
+	write(ident) {
+		this.read(ident);
+	}
+
+	/**
+	 * Returns how many values are in each file, and how many of them have been run.
+	 *
+	 * @return {Array<{ filename: string, total: number, covered: number }>}
+	 */
+	summary() {
+		return Array.from(this.#files, ([filename, { nodes }]) => ({
+			filename,
+			total: nodes.size,
+			covered: Array.from(nodes.values()).filter(node => node.hits !== 0).length,
+		}));
+	}
+
+	/**
+	 * Returns the coverage of each file as an lcov tracefile.
+	 *
+	 * Each block is a function, named after the identifier it's assigned to; each `I`, `&`, `|`,
+	 * and `W` has two branches; and a line's count is how often the most run value on it was.
+	 *
+	 * @return {string}
+	 */
+	lcov() {
+		let lcov = '';
+
+		for (const [filename, { nodes, branches, blocks }] of this.#files) {
+			lcov += `TN:\nSF:${filename}\n`;
+
+			for (const { name, node } of blocks) {
+				lcov += `FN:${node.span.start.line},${name}\n`;
+			}
+
+			for (const { name, body } of blocks) {
+				lcov += `FNDA:${body.hits},${name}\n`;
+			}
+
+			lcov += `FNF:${blocks.length}\nFNH:${blocks.filter(({ body }) => body.hits !== 0).length}\n`;
+
+			let branchesHit = 0;
+
+			branches.forEach((branch, index) => {
+				for (const [number, taken] of this.#taken(branch).entries()) {
+					lcov += `BRDA:${branch.node.span.start.line},${index},${number},${taken}\n`;
+					branchesHit += typeof taken === 'number' && taken !== 0;
+				}
+			});
+
+			lcov += `BRF:${branches.length * 2}\nBRH:${branchesHit}\n`;
+
+			const lines = this.#lines(nodes);
+
+			for (const [line, hits] of lines) {
+				lcov += `DA:${line},${hits}\n`;
+			}
+
+			lcov += `LF:${lines.size}\nLH:${Array.from(lines.values()).filter(hits => hits !== 0).length}\n`;
+			lcov += 'end_of_record\n';
+		}
+
+		return lcov;
+	}
+
+	/**
+	 * Returns the source code of each file, with how many times each line was run and the parts that
+	 * never were underlined.
+	 *
+	 * @return {string}
+	 */
+	annotate() {
+		const files = [];
+
+		for (const { filename, total, covered } of this.summary()) {
+			const { source, nodes } = this.#files.get(filename);
+			const lines = this.#lines(nodes);
+			const missed = new Array(source.length).fill(false);
+			let offset = 0;
+
+			for (const { span, hits } of nodes.values()) {
+				if (hits === 0) {
+					missed.fill(true, span.start.offset, span.end.offset);
+				}
+			}
+
+			const percent = total === 0 ? 100 : covered / total * 100;
+			let annotated = `${filename}: ${covered} of ${total} values run (${percent.toFixed(1)}%)\n`;
+
+			// A trailing newline doesn't start another line.
+			source.replace(/\n$/, '').split('\n').forEach((text, index) => {
+				const hits = lines.get(index + 1);
+
+				// Tabs are kept so that the carets line up regardless of the tab width.
+				const carets = Array.from(text, (char, column) => {
+					if (missed[offset + column]) {
+						return '^';
+					}
+
+					return char === '\t' ? '\t' : ' ';
+				}).join('').trimEnd();
+
+				annotated += `${String(hits ?? '').padStart(8)} | ${text.replace(/\r$/, '')}`.trimEnd() + '\n';
+
+				if (carets !== '') {
+					annotated += `${''.padStart(8)} | ${carets}\n`;
+				}
+
+				offset += text.length + 1;
+			});
+
+			files.push(annotated);
+		}
+
+		return files.join('\n');
+	}
+
+	/**
+	 * Adds `value`, and its arguments if it's a function, to `file`.
+	 *
+	 * @param {File} file The file `value` is in.
+	 * @param {Value} value The value to add.
+	 * @param {Func?} parent The function `value` is an argument to, if any.
+	 * @return {Node} The node of `value`.
+	 */
+	#add(file, value, parent) {
+		const { span } = value;
+		let node = file.nodes.get(span.start.offset);
+		const isNew = node === undefined;
+
+		if (isNew) {
+			node = { span, hits: 0 };
+			file.nodes.set(span.start.offset, node);
+		}
+
+		this.#nodes.set(value, node);
+
+		if (!(value instanceof Func)) {
+			return node;
+		}
+
+		const args = value.args.map(arg => this.#add(file, arg, value));
+
+		if (value.name === 'B' && !isTraced(value.args[0])) {
+			this.#bodies.add(value.args[0]);
+		}
+
+		if (!isNew) {
+			return node;
+		}
+
+		if (value.name === 'B') {
+			const ident = parent?.name === '=' && parent.args[1] === value && parent.args[0] instanceof Ident
+				? parent.args[0].name
+				: 'B';
+
+			file.blocks.push({ name: `${ident}@${span.start.line}:${span.start.column}`, node, body: args[0] });
+		} else if (Object.hasOwn(CONDITIONAL, value.name)) {
+			file.branches.push({ name: value.name, node, arg: args[1], other: value.name === 'I' ? args[2] : null });
+		}
+
+		return node;
+	}
+
+	/**
+	 * Returns how many times each way `branch` can go was taken, or `-` if it was never run.
+	 *
+	 * @param {Branch} branch The branch.
+	 * @return {Array<number|'-'>}
+	 */
+	#taken({ name, node, arg, other }) {
+		if (node.hits === 0) {
+			return ['-', '-'];
+		}
+
+		if (name === 'I') {
+			return [arg.hits, other.hits];
+		}
+
+		// `&` and `|` either run their second argument or don't, and `W` either runs its body or
+		// finishes each time it checks its condition.
+		return [arg.hits, name === 'W' ? node.hits : node.hits - arg.hits];
+	}
+
+	/**
+	 * Returns how many times the most run value starting on each line was run.
+	 *
+	 * @param {Map<number, Node>} nodes The values in a file.
+	 * @return {Map<number, number>} The count of each line that has a value, in order.
+	 */
+	#lines(nodes) {
+		const lines = new Map();
+
+		for (const { span, hits } of nodes.values()) {
+			lines.set(span.start.line, Math.max(lines.get(span.start.line) ?? 0, hits));
+		}
+
+		return new Map(Array.from(lines).sort(([a], [b]) => a - b));
+	}
+}
@@ -0,0 +1,389 @@
+import Ident from './ident.js';
+import { KnightError } from './error.js';
+
+/**
+ * @typedef {import('./host.js').Host} Host
+ * @typedef {import('./func.js').default} Func
+ * @typedef {import('./value.js').default} Value
+ */
+
+/**
+ * Where the debugger should pause, other than when stepping.
+ *
+ * A breakpoint either has a `line`, in which case it's hit when execution reaches that line, or a
+ * `name`, in which case it's hit before every function with that name. With a `name`, an `ident`
+ * can also be given, which restricts it to functions whose first argument is that identifier (eg
+ * `=` to `foo`, or `C` of `foo`).
+ *
+ * @typedef {Object} Breakpoint
+ * @property {number} [line] The line number, starting at `1`.
+ * @property {string} [name] The name of the function, eg `=` or `O`.
+ * @property {string} [ident] With `name`, the identifier that must be the first argument.
+ */
+
+/**
+ * The commands that can be entered when paused, along with their descriptions.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+const COMMANDS = {
+	'step, s': 'run until the next function, stepping into this one',
+	'next, n': "run until the next function that isn't part of this one",
+	'out, o': 'run until the function containing this one is done',
+	'continue, c': 'run until the next breakpoint',
+	'break, b <line>': 'pause whenever execution reaches <line>',
+	'break, b <func> [ident]': 'pause before every <func>, optionally only when its first argument is [ident]',
+	'delete, d <n>': 'remove breakpoint <n>',
+	'breakpoints': 'list every breakpoint',
+	'list, l': 'show the current function again',
+	'where, bt': 'show which functions are being run',
+	'print, p <code>': 'run <code> and show the result, eg `p foo`',
+	'set <ident> <code>': 'run <code> and assign the result to <ident>',
+	'vars': 'list every assigned variable',
+	'help, h': 'show this message',
+	'quit, q': 'exit the program',
+};
+
+/**
+ * Returns a description of `breakpoint`.
+ *
+ * @private
+ * @param {Breakpoint} breakpoint The breakpoint to describe.
+ * @return {string}
+ */
+function describe(breakpoint) {
+	if (breakpoint.line !== undefined) {
+		return `line ${breakpoint.line}`;
+	}
+
+	return breakpoint.ident === undefined ? breakpoint.name : `${breakpoint.name} ${breakpoint.ident}`;
+}
+
+/**
+ * An interactive debugger, which pauses before functions are run so that they can be inspected.
+ *
+ * When an `Interpreter` is given a debugger, each `Func` calls `enter` before it runs and `leave`
+ * afterwards. The debugger pauses before the very first function (or, if it starts out with
+ * breakpoints, the first one that's hit), and then whenever a step command or breakpoint says to.
+ * While paused, it reads commands from its host (see `COMMANDS`) until one of them resumes
+ * execution. If the host runs out of input, execution continues without pausing again.
+ *
+ * Only the tree-walking interpreter supports debuggers, as neither the VM nor transpiled
+ * JavaScript runs `Func`s directly.
+ */
+export default class Debugger {
+	/**
+	 * Where the debugger reads commands from, and writes to.
+	 *
+	 * @type {Host}
+	 */
+	host;
+
+	/**
+	 * Where execution should pause.
+	 *
+	 * @type {Array<Breakpoint>}
+	 */
+	breakpoints = [];
+
+	/**
+	 * The functions that are currently running, innermost last.
+	 *
+	 * @type {Array<Func>}
+	 */
+	#stack = [];
+
+	/**
+	 * The deepest that a function can be (in `#stack`) for execution to pause before it; `Infinity`
+	 * when stepping, and `-1` when only breakpoints should pause.
+	 *
+	 * @type {number}
+	 */
+	#pauseDepth = Infinity;
+
+	/**
+	 * The line of the last function that was entered, so that line breakpoints are only hit when
+	 * execution reaches their line, rather than for each function on it.
+	 *
+	 * @type {number?}
+	 */
+	#lastLine = null;
+
+	/**
+	 * Whether code entered by the user is being run, in which case the debugger doesn't pause.
+	 *
+	 * @type {boolean}
+	 */
+	#evaluating = false;
+
+	/**
+	 * Whether the host ran out of input, in which case the debugger never pauses again.
+	 *
+	 * @type {boolean}
+	 */
+	#detached = false;
+
+	/**
+	 * The last command that was entered, which is repeated when an empty line is entered.
+	 *
+	 * @type {string}
+	 */
+	#lastCommand = 'step';
+
+	/**
+	 * Creates a new `Debugger`.
+	 *
+	 * @param {Object} options
+	 * @param {Host} options.host Where commands are read from, and where output is written to.
+	 * @param {Array<string>} [options.breakpoints] The breakpoints to start out with, in the format
+	 *                                              `addBreakpoint` takes.
+	 * @throws {Error} Thrown if any of the `breakpoints` aren't valid.
+	 */
+	constructor({ host, breakpoints = [] }) {
+		this.host = host;
+
+		for (const spec of breakpoints) {
+			this.addBreakpoint(spec);
+		}
+
+		if (breakpoints.length !== 0) {
+			this.#pauseDepth = -1;
+		}
+	}
+
+	/**
+	 * Parses `spec` as a breakpoint, and adds it.
+	 *
+	 * `spec` is either a line number, or a function name optionally followed by an identifier.
+	 * Function names can be written as words, eg `OUTPUT` for `O`.
+	 *
+	 * @param {string} spec The breakpoint, eg `12`, `=`, or `= foo`.
+	 * @return {Breakpoint} The added breakpoint.
+	 * @throws {Error} Thrown if `spec` isn't a valid breakpoint.
+	 */
+	addBreakpoint(spec) {
+		const [where, ident, ...rest] = spec.trim().split(/\s+/);
+		let breakpoint;
+
+		if (/^\d+$/.test(where) && ident === undefined) {
+			breakpoint = { line: Number(where) };
+		} else if (/^(?:[A-Z]+|[^\sa-z0-9_])$/.test(where) && rest.length === 0
+				&& (ident === undefined || /^[a-z_][a-z0-9_]*$/.test(ident))) {
+			breakpoint = { name: where[0], ident };
+		} else {
+			throw new Error(`Invalid breakpoint '${spec.trim()}'.`);
+		}
+
+		this.breakpoints.push(breakpoint);
+		return breakpoint;
+	}
+
+	/**
+	 * Called before `func` is run, pausing if necessary.
+	 *
+	 * @param {Func} func The function that's about to run.
+	 */
+	enter(func) {
+		if (this.#evaluating || this.#detached) {
+			return;
+		}
+
+		const line = func.span?.start.line ?? null;
+
+		if (this.#stack.length <= this.#pauseDepth
+				|| this.breakpoints.some(breakpoint => this.#hits(breakpoint, func, line))) {
+			this.#pause(func);
+		}
+
+		this.#lastLine = line;
+		this.#stack.push(func);
+	}
+
+	/**
+	 * Called after `func` has run, whether or not it succeeded.
+	 *
+	 * @param {Func} func The function that was run.
+	 */
+	leave(func) {
+		if (this.#stack.at(-1) === func) {
+			this.#stack.pop();
+		}
+	}
+
+	/**
+	 * Returns whether `breakpoint` is hit by running `func`, which is on `line`.
+	 *
+	 * @param {Breakpoint} breakpoint The breakpoint to check.
+	 * @param {Func} func The function that's about to run.
+	 * @param {number?} line The line `func` is on.
+	 * @return {boolean}
+	 */
+	#hits(breakpoint, func, line) {
+		if (breakpoint.line !== undefined) {
+			return breakpoint.line === line && this.#lastLine !== line;
+		}
+
+		if (breakpoint.name !== func.name) {
+			return false;
+		}
+
+		return breakpoint.ident === undefined
+			|| (func.args[0] instanceof Ident && func.args[0].name === breakpoint.ident);
+	}
+
+	/**
+	 * Shows `func`, then reads and runs commands until one of them resumes execution.
+	 *
+	 * @param {Func} func The function that's about to run.
+	 */
+	#pause(func) {
+		this.#show(func);
+
+		while (true) {
+			this.host.write('(knight) ');
+
+			const input = this.host.readLine();
+
+			if (input === null) {
+				this.host.write('\n');
+				this.#detached = true;
+				return;
+			}
+
+			const line = input.trim() || this.#lastCommand;
+			const [command, ...args] = line.split(/\s+/);
+			const rest = line.slice(command.length).trim();
+
+			this.#lastCommand = line;
+
+			switch (command) {
+			case 'step': case 's':
+				this.#pauseDepth = Infinity;
+				return;
+
+			case 'next': case 'n':
+				this.#pauseDepth = this.#stack.length;
+				return;
+
+			case 'out': case 'o':
+				this.#pauseDepth = this.#stack.length - 1;
+				return;
+
+			case 'continue': case 'c':
+				this.#pauseDepth = -1;
+				return;
+
+			case 'break': case 'b':
+				try {
+					const breakpoint = this.addBreakpoint(rest);
+					this.host.write(`breakpoint ${this.breakpoints.length} at ${describe(breakpoint)}\n`);
+				} catch (error) {
+					this.host.write(`${error.message}\n`);
+				}
+				break;
+
+			case 'delete': case 'd':
+				if (!/^\d+$/.test(rest) || !this.breakpoints[rest - 1]) {
+					this.host.write('usage: delete <n>, where <n> is from `breakpoints`\n');
+				} else {
+					this.breakpoints.splice(rest - 1, 1);
+				}
+				break;
+
+			case 'breakpoints':
+				this.breakpoints.forEach((breakpoint, index) => {
+					this.host.write(`${index + 1}: ${describe(breakpoint)}\n`);
+				});
+				break;
+
+			case 'list': case 'l':
+				this.#show(func);
+				break;
+
+			case 'where': case 'bt':
+				this.host.write(`    at ${func.traceName()} (${func.span})\n`);
+				for (const caller of this.#stack.toReversed()) {
+					this.host.write(`    at ${caller.traceName()} (${caller.span})\n`);
+				}
+				break;
+
+			case 'print': case 'p': {
+				const value = this.#evaluate(func, rest);
+				if (value !== null) {
+					this.host.write(`${value.dump()}\n`);
+				}
+				break;
+			}
+
+			case 'set':
+				if (!/^[a-z_][a-z0-9_]*$/.test(args[0] ?? '') || args.length < 2) {
+					this.host.write('usage: set <ident> <code>\n');
+				} else {
+					const value = this.#evaluate(func, rest.slice(args[0].length));
+					if (value !== null) {
+						func.interpreter.variables.set(args[0], value);
+						this.host.write(`${args[0]} = ${value.dump()}\n`);
+					}
+				}
+				break;
+
+			case 'vars':
+				for (const [ident, value] of func.interpreter.variables) {
+					this.host.write(`${ident} = ${value.dump()}\n`);
+				}
+				break;
+
+			case 'help': case 'h':
+				for (const [name, description] of Object.entries(COMMANDS)) {
+					this.host.write(`${name.padEnd(24)} ${description}\n`);
+				}
+				break;
+
+			case 'quit': case 'q':
+				this.host.exit(1);
+				return;
+
+			default:
+				this.host.write(`unknown command '${command}'; type 'help' for a list of commands\n`);
+			}
+		}
+	}
+
+	/**
+	 * Writes where `func` is in the source code, followed by its `dump`.
+	 *
+	 * @param {Func} func The function to show.
+	 */
+	#show(func) {
+		if (func.span !== null) {
+			this.host.write(`${func.span}\n${func.span.excerpt()}\n`);
+		}
+
+		this.host.write(`${func.dump()}\n`);
+	}
+
+	/**
+	 * Runs `source` with the interpreter of `func`, without pausing.
+	 *
+	 * @param {Func} func The function whose interpreter is used.
+	 * @param {string} source The code to run.
+	 * @return {Value?} The result, or `null` if a `KnightError` occurred (which is written out).
+	 */
+	#evaluate(func, source) {
+		this.#evaluating = true;
+
+		try {
+			return func.interpreter.run(source, '<debug>');
+		} catch (error) {
+			if (!(error instanceof KnightError)) {
+				throw error;
+			}
+
+			this.host.write(`${error.message}\n`);
+			return null;
+		} finally {
+			this.#evaluating = false;
+		}
+	}
+}
@@ -1,14 +1,145 @@
+/**
+ * @typedef {import('./span.js').default} Span
+ */
+
+/**
+ * A single entry in a Knight call trace.
+ *
+ * @typedef {Object} Frame
+ * @property {string} name The name of the function, e.g. `W`, or `C foo` when calling `foo`.
+ * @property {Span?} span Where the function was parsed.
+ * @property {Span?} evalSite If the function came from a string passed to `E`, where that `E` was.
+ */
+
 /**
  * The parent class for all errors that can arise within Knight.
  */
-export class KnightError extends Error { }
+export class KnightError extends Error {
+	/**
+	 * The maximum amount of frames that are recorded in a `trace`.
+	 *
+	 * This mirrors JavaScript's own `Error.stackTraceLimit`.
+	 *
+	 * @type {number}
+	 */
+	static stackTraceLimit = 10;
+
+	/**
+	 * Where in the source code the error occurred, if known.
+	 *
+	 * @type {Span?}
+	 */
+	span;
+
+	/**
+	 * The Knight functions that were running when the error occurred, innermost first.
+	 *
+	 * @type {Array<Frame>}
+	 */
+	trace = [];
+
+	/**
+	 * Creates a new `KnightError`.
+	 *
+	 * @param {string} message The error message.
+	 * @param {Span?} [span] Where in the source code the error occurred.
+	 */
+	constructor(message, span=null) {
+		super(message);
+
+		this.span = span;
+	}
+
+	/**
+	 * Adds a frame to the end of the trace, unless `stackTraceLimit` has been reached.
+	 *
+	 * @param {string} name The name of the function that's being exited.
+	 * @param {Span?} span Where that function was parsed.
+	 */
+	addFrame(name, span) {
+		if (this.trace.length < KnightError.stackTraceLimit) {
+			this.trace.push({ name, span, evalSite: null });
+		}
+	}
+
+	/**
+	 * Marks every frame that was parsed from `source` as having come from an `E` at `site`.
+	 *
+	 * Frames that were already marked by a nested `E` are left alone.
+	 *
+	 * @param {Span?} site Where the `E` that evaluated the code is.
+	 * @param {string} source The code that `E` evaluated.
+	 */
+	markEvaluated(site, source) {
+		for (const frame of this.trace) {
+			if (frame.evalSite === null && frame.span?.source === source) {
+				frame.evalSite = site;
+			}
+		}
+	}
+
+	/**
+	 * Returns a human-readable description of this error, including an excerpt of the source code
+	 * if the error's location is known and the Knight call trace.
+	 *
+	 * @return {string}
+	 */
+	report() {
+		let report = `Knight Error: ${this.message}`;
+
+		for (const { name, span, evalSite } of this.trace) {
+			const where = span ?? 'unknown location';
+			const location = evalSite ? `eval at E (${evalSite}), ${where}` : `${where}`;
+
+			report += `\n    at ${name} (${location})`;
+		}
+
+		if (this.span === null) {
+			return report;
+		}
+
+		return `${this.span}\n${this.span.excerpt()}\n\n${report}`;
+	}
+}
 
 /**
  * The class that represents errors that can occur during the parsing of a Knight program.
  */
 export class ParseError extends KnightError { }
 
+/**
+ * The class that represents parse errors caused by the source code ending too early, such as a
+ * function that's missing arguments or an unterminated string.
+ *
+ * Unlike other `ParseError`s, these can be fixed by appending more source code.
+ */
+export class IncompleteParseError extends ParseError { }
+
 /**
  * The class that represents errors that can occur during the execution of a Knight program.
  */
 export class RuntimeError extends KnightError { }
+
+/**
+ * The class that represents a Knight program running for longer than its `Interpreter` allows.
+ */
+export class BudgetError extends KnightError {
+	/**
+	 * How many functions had been evaluated when the program was stopped.
+	 *
+	 * @type {number}
+	 */
+	steps;
+
+	/**
+	 * Creates a new `BudgetError`.
+	 *
+	 * @param {string} message The reason the program was stopped.
+	 * @param {number} steps How many functions had been evaluated.
+	 */
+	constructor(message, steps) {
+		super(`${message} after ${steps} steps`);
+
+		this.steps = steps;
+	}
+}
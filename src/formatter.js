@@ -0,0 +1,316 @@
+import Value from './value.js';
+import Func from './func.js';
+import Stream from './stream.js';
+import Interpreter from './interpreter.js';
+import { ParseError } from './error.js';
+
+/**
+ * @typedef {import('./stream.js').Comment} Comment
+ */
+
+/**
+ * The comments that are attached to values, so they can be written next to them.
+ *
+ * A comment that's on the same line as the end of a value is written after it, and is attached to
+ * the outermost value that ends there. Any other comment is written on the lines before the value
+ * that follows it, but since nothing can be written between a function and its first argument,
+ * comments before a first argument are attached to its function instead.
+ *
+ * @private
+ * @typedef {Object} Comments
+ * @property {Map<Value, Array<string>>} leading The comments to write before each value.
+ * @property {Map<Value, string>} trailing The comment to write after each value.
+ * @property {Set<Value>} within The values that have a comment attached to them, or to any of
+ *                               their arguments.
+ */
+
+/**
+ * How wide lines can be before functions are split across multiple lines.
+ *
+ * @private
+ * @type {number}
+ */
+const WIDTH = 80;
+
+/**
+ * How wide a tab is assumed to be, when working out how wide lines are.
+ *
+ * @private
+ * @type {number}
+ */
+const TAB_WIDTH = 4;
+
+/**
+ * The functions that are always split across multiple lines, and which of their arguments are
+ * always on their own line. (`;` has its own layout; see `render`.)
+ *
+ * @private
+ * @type {Object.<string, Array<number>>}
+ */
+const OWN_LINE = { ';': [1], I: [1, 2], W: [1] };
+
+/**
+ * Returns every value in `value`, in the order they appear in the source code, along with the
+ * function they're an argument to.
+ *
+ * @private
+ * @param {Value} value The value to walk.
+ * @param {Func?} [parent] The function `value` is an argument to.
+ * @return {Array<{ value: Value, parent: Func? }>}
+ */
+function walk(value, parent = null) {
+	const values = [{ value, parent }];
+
+	if (value instanceof Func) {
+		for (const arg of value.args) {
+			values.push(...walk(arg, value));
+		}
+	}
+
+	return values;
+}
+
+/**
+ * Attaches each of `comments` to a value in `program`.
+ *
+ * @private
+ * @param {Value} program The parsed program.
+ * @param {Array<Comment>} comments The comments in the program, in order.
+ * @return {Comments & { after: Array<string> }} The attached comments, and those after `program`.
+ */
+function attach(program, comments) {
+	const values = walk(program);
+	const source = program.span.source;
+	const attached = { leading: new Map(), trailing: new Map(), within: new Set(), after: [] };
+
+	// Where each token ends: either a value that isn't a function, or the name of a function.
+	const tokenEnds = values.map(({ value }) => value instanceof Func
+		? value.span.start.offset + /^(?:[A-Z]+|.)/.exec(value.span.text())[0].length
+		: value.span.end.offset);
+	let previousEnd = -1;
+
+	for (const { text, span } of comments) {
+		const start = span.start.offset;
+		const tokenEnd = Math.max(-1, ...tokenEnds.filter(end => end <= start));
+		const ending = values.find(({ value }) => value.span.end.offset === tokenEnd);
+
+		// Only the first comment after a value can be on the same line as it.
+		if (ending !== undefined && tokenEnd !== previousEnd && !source.slice(tokenEnd, start).includes('\n')) {
+			attached.trailing.set(ending.value, text);
+			markWithin(attached, values, ending.value);
+			previousEnd = tokenEnd;
+			continue;
+		}
+
+		previousEnd = tokenEnd;
+
+		let index = values.findIndex(({ value }) => value.span.start.offset > start);
+
+		if (index === -1) {
+			attached.after.push(text);
+			continue;
+		}
+
+		while (values[index].parent?.args[0] === values[index].value) {
+			const parent = values[index].parent;
+			index = values.findIndex(({ value }) => value === parent);
+		}
+
+		const { value } = values[index];
+
+		attached.leading.set(value, [...attached.leading.get(value) ?? [], text]);
+		markWithin(attached, values, value);
+	}
+
+	return attached;
+}
+
+/**
+ * Adds `value`, and every function containing it, to `comments.within`.
+ *
+ * @private
+ * @param {Comments} comments The attached comments.
+ * @param {Array<{ value: Value, parent: Func? }>} values Every value in the program.
+ * @param {Value} value The value that has a comment.
+ */
+function markWithin(comments, values, value) {
+	for (let current = value; current !== null;) {
+		comments.within.add(current);
+		current = values.find(entry => entry.value === current).parent;
+	}
+}
+
+/**
+ * Returns how `value`, which isn't a function, is written.
+ *
+ * `TRUE`, `FALSE`, and `NULL` are written as just their first letter, and everything else is
+ * written as it is in the source code.
+ *
+ * @private
+ * @param {Value} value The value to write.
+ * @return {string}
+ */
+function token(value) {
+	const text = value.span.text();
+
+	return /^[A-Z]/.test(text) ? text[0] : text;
+}
+
+/**
+ * Returns `value` written on one line, or `null` if it can't be, because it contains comments or
+ * functions that are always split across lines. Word functions (eg `OUTPUT`) are written as just
+ * their first letter.
+ *
+ * @private
+ * @param {Value} value The value to write.
+ * @param {Comments} comments The attached comments.
+ * @return {string?}
+ */
+function flat(value, comments) {
+	if (comments.within.has(value)) {
+		return null;
+	}
+
+	if (!(value instanceof Func)) {
+		return token(value);
+	}
+
+	if (Object.hasOwn(OWN_LINE, value.name)) {
+		return null;
+	}
+
+	const args = value.args.map(arg => flat(arg, comments));
+
+	return args.includes(null) ? null : [value.name, ...args].join(' ');
+}
+
+/**
+ * Returns `value` written starting at the current position, with any lines after the first
+ * indented by `depth` tabs.
+ *
+ * If `value` fits on the line, it's written on one line. Otherwise, its first argument and as
+ * many of the others as fit are written after the function's name, and the rest are each written
+ * on their own line, indented once more. The last argument can hang off the first line instead,
+ * eg `= foo B` followed by the block's body's lines. `;` is the exception: since it's used to run one thing
+ * after another, its second argument is written on its own line at the same depth, so chains of
+ * `;` line up.
+ *
+ * @private
+ * @param {Value} value The value to write.
+ * @param {number} depth How many tabs to indent lines after the first by.
+ * @param {Comments} comments The attached comments.
+ * @return {string}
+ */
+function render(value, depth, comments) {
+	const trailing = comments.trailing.has(value) ? ` ${comments.trailing.get(value)}` : '';
+	const oneLine = flat(value, comments);
+
+	if (oneLine !== null && depth * TAB_WIDTH + oneLine.length <= WIDTH) {
+		return oneLine;
+	}
+
+	if (!(value instanceof Func)) {
+		return token(value) + trailing;
+	}
+
+	const { name, args } = value;
+
+	if (name === ';') {
+		const first = render(args[0], depth, comments);
+
+		return `; ${first}\n${'\t'.repeat(depth)}${place(args[1], depth, comments)}${trailing}`;
+	}
+
+	const ownLine = OWN_LINE[name] ?? [];
+	let line = name;
+	let index = 0;
+	let isFlat = true;
+
+	for (; index < args.length && !ownLine.includes(index); index++) {
+		const arg = flat(args[index], comments);
+
+		if (arg !== null && depth * TAB_WIDTH + line.length + 1 + arg.length <= WIDTH) {
+			line += ` ${arg}`;
+			continue;
+		}
+
+		// Comments can't be before the first argument, so it's always on the first line.
+		if (index === 0 && args.length > 1) {
+			line += ` ${render(args[0], depth + 1, comments)}`;
+			index++;
+			isFlat = false;
+		}
+
+		break;
+	}
+
+	const last = args.at(-1);
+
+	// The last argument only hangs off the first line if it's the only one, or if it'd be split
+	// across lines anyway. It can't if the first line is ended by a comment, and `;` never does so
+	// that its chain isn't mistaken for the one containing it.
+	if (index === args.length - 1 && !ownLine.includes(index) && isFlat && !comments.leading.has(last)
+			&& (args.length === 1 || flat(last, comments) === null)
+			&& !(last instanceof Func && last.name === ';')) {
+		return `${line} ${render(last, depth, comments)}${trailing}`;
+	}
+
+	for (; index < args.length; index++) {
+		line += `\n${'\t'.repeat(depth + 1)}${place(args[index], depth + 1, comments)}`;
+	}
+
+	return line + trailing;
+}
+
+/**
+ * Like `render`, except for values that start their own line, which have their leading comments
+ * written on the lines before them.
+ *
+ * @private
+ * @param {Value} value The value to write.
+ * @param {number} depth How many tabs the line is indented by.
+ * @param {Comments} comments The attached comments.
+ * @return {string}
+ */
+function place(value, depth, comments) {
+	const leading = (comments.leading.get(value) ?? []).map(comment => `${comment}\n${'\t'.repeat(depth)}`);
+
+	return leading.join('') + render(value, depth, comments);
+}
+
+/**
+ * Formats `source` as Knight code, so that it's consistently laid out.
+ *
+ * Each function is written on one line if it fits, and otherwise split across lines with its
+ * arguments indented (see `render`). Chains of `;` and the bodies of `W` and `I` are always on
+ * separate lines. Word functions are normalized to just their first letter, and `(`, `)`, and `:`
+ * are removed, but comments are kept. Since only whitespace changes, the formatted code always does
+ * exactly the same thing; and formatting it again doesn't change it.
+ *
+ * Anything after the program, which Knight ignores, is kept as-is.
+ *
+ * @param {string} source The code to format.
+ * @param {Object} [options]
+ * @param {string} [options.filename] The name of the file `source` came from; used in errors.
+ * @param {Interpreter} [options.interpreter] The interpreter whose functions are used to parse
+ *                                            `source`; defaults to one with only the builtins.
+ * @return {string} The formatted code, ending with a newline.
+ * @throws {ParseError} Thrown if `source` isn't valid Knight code.
+ */
+export function format(source, { filename, interpreter = new Interpreter() } = {}) {
+	const stream = new Stream(source.toString(), filename, { comments: true });
+	const program = Value.parse(stream, interpreter);
+
+	if (program === null) {
+		throw new ParseError('No value could be parsed!', stream.spanFrom(stream.position()));
+	}
+
+	stream.stripWhitespace();
+
+	const comments = attach(program, stream.comments);
+	const before = place(program, 0, comments);
+	const after = comments.after.map(comment => `${comment}\n`).join('');
+	const rest = source.toString().substring(stream.position().offset).trimEnd();
+
+	return `${before}\n${after}${rest === '' ? '' : `${rest}\n`}`;
+}
@@ -1,6 +1,3 @@
-import { readSync } from 'fs';
-import { execSync } from 'child_process';
-
 import Value, { TYPES } from './value.js';
 import Bool from './bool.js';
 import Ident from './ident.js';
@@ -8,22 +5,21 @@ import Int from './int.js';
 import Null from './null.js';
 import List from './list.js';
 import Str from './str.js';
-import Stream from './stream.js';
-import { ParseError } from './error.js';
-import { run } from './knight.js';
+import { KnightError, ParseError, IncompleteParseError } from './error.js';
 
 /**
  * @typedef {import('./stream.js').Stream} Stream
+ * @typedef {import('./value.js').ValueJSON} ValueJSON
+ * @typedef {import('./interpreter.js').default} Interpreter
  */
 
 /**
- * The list of all known functions.
+ * The list of all functions that new `Interpreter`s start out with.
  *
- * @private
  * @type {Object.<string, function>}
  * @see {@link register} for how to add new functions.
  */
-const FUNCTIONS = {};
+export const FUNCTIONS = {};
 
 /**
  * A class that represents a function and its associated arguments.
@@ -48,23 +44,34 @@ export default class Func extends Value {
 	/**
 	 * The name associated with this instance.
 	 *
-	 * This variable is only used within the `dump` function.
+	 * This variable is only used within the `dump` function and call traces.
 	 *
 	 * @private
 	 * @type {string}
 	 */
 	#name;
 
+	/**
+	 * The interpreter that parsed this function.
+	 *
+	 * @private
+	 * @type {Interpreter}
+	 */
+	#interpreter;
+
 	/**
 	 * Attempts to parse a `Func` from `stream`.
 	 *
 	 * @param {Stream} stream The stream from which to parse.
+	 * @param {Interpreter} interpreter The interpreter whose functions are used.
 	 * @return {Func?} The parsed `Func`, or `null` if the stream did not start with a valid fn name.
 	 * @throws {ParseError} If not all the arguments could be parsed.
+	 * @throws {IncompleteParseError} If the stream ended before all the arguments were parsed.
 	 */
-	static parse(stream) {
+	static parse(stream, interpreter) {
+		const start = stream.position();
 		const front = stream.peek();
-		const func = FUNCTIONS[front];
+		const func = interpreter.functions[front];
 
 		if (func === undefined) {
 			return null;
@@ -72,20 +79,63 @@ export default class Func extends Value {
 
 		// Remove either the beginning upper-case word or symbol.
 		stream.match(/^(?:[A-Z]+|.)/); // ignore the result; we have `func`.
+		const nameSpan = stream.spanFrom(start);
 
 		// Parse the arguments of the function.
 		let args = [];
 		for (let i = 0; i < func.length; i++) { // `func.length` is its arity.
-			const arg = Value.parse(stream);
+			const arg = Value.parse(stream, interpreter);
 
 			if (!arg) {
-				throw new ParseError(`Missing argument ${i+1} for func '${front}'`);
+				const message = `Missing argument ${i+1} for func '${front}'`;
+
+				// If there's nothing left, more source code could fix the error.
+				if (stream.peek() === null) {
+					throw new IncompleteParseError(message, nameSpan);
+				}
+
+				throw new ParseError(message, nameSpan);
 			}
 
 			args.push(arg);
 		}
 
-		return new Func(func, front, args);
+		return new Func(func, front, args, interpreter);
+	}
+
+	/**
+	 * Recreates a `Func` from `json`, if it's the JSON of one.
+	 *
+	 * @param {ValueJSON} json The JSON of the value.
+	 * @param {Interpreter} interpreter The interpreter whose functions are used.
+	 * @param {string?} source The source code that `json` was parsed from; see `Value.fromJSON`.
+	 * @return {Func?} The `Func`, or `null` if `json` isn't a function.
+	 * @throws {ParseError} Thrown if the function doesn't exist, has the wrong amount of arguments,
+	 *                      or only some of it and its arguments have spans.
+	 */
+	static fromJSON(json, interpreter, source) {
+		if (json.kind !== 'function') {
+			return null;
+		}
+
+		const func = Object.hasOwn(interpreter.functions, json.name) ? interpreter.functions[json.name] : undefined;
+
+		if (func === undefined) {
+			throw new ParseError(`Unknown function: ${JSON.stringify(json.name)}`);
+		}
+
+		if (!Array.isArray(json.args) || json.args.length !== func.length) {
+			throw new ParseError(`Function '${json.name}' takes ${func.length} argument(s)`);
+		}
+
+		const args = json.args.map(arg => Value.fromJSON(arg, interpreter, source));
+
+		// Tools like `Coverage` expect every value in a program to have a span if its root does.
+		if (source !== null && args.some(arg => (arg.span === null) === Boolean(json.span))) {
+			throw new ParseError(`Invalid span: only some of '${json.name}' and its arguments have spans`);
+		}
+
+		return new Func(func, json.name, args, interpreter);
 	}
 
 	/**
@@ -94,24 +144,115 @@ export default class Func extends Value {
 	 * @param {function} func The function execute when running `this`.
 	 * @param {string} name The name of this function, used when `dump`ing.
 	 * @param {Array<Value>} args The list of arguments to use when running.
+	 * @param {Interpreter} interpreter The interpreter that parsed this function.
 	 */
-	constructor(func, name, args) {
+	constructor(func, name, args, interpreter) {
 		super();
 
 		this.#func = func;
 		this.#name = name;
 		this.#args = args;
+		this.#interpreter = interpreter;
+	}
+
+	/**
+	 * The interpreter that parsed this function.
+	 *
+	 * Functions can use this (via `this.interpreter`) to access variables and I/O.
+	 *
+	 * @return {Interpreter}
+	 */
+	get interpreter() {
+		return this.#interpreter;
+	}
+
+	/**
+	 * The name of this function.
+	 *
+	 * @return {string}
+	 */
+	get name() {
+		return this.#name;
+	}
+
+	/**
+	 * The unevaluated arguments of this function.
+	 *
+	 * @return {Array<Value>}
+	 */
+	get args() {
+		return this.#args;
+	}
+
+	/**
+	 * The JavaScript function that's called when running `this`.
+	 *
+	 * @return {function}
+	 */
+	get func() {
+		return this.#func;
 	}
 
 	/**
 	 * Returns the result of executing the function associated with `this`.
 	 *
-	 * Note that the arguments are passed unevaluated to the function.
+	 * Note that the arguments are passed unevaluated to the function, and that `this` is bound to
+	 * the `Func` itself.
+	 *
+	 * Any `KnightError`s that are thrown without a location are given the location of `this`, and
+	 * `this` is added to their Knight call trace. Each run counts as a step towards the budget of
+	 * the interpreter, and is reported to its tracers (eg a debugger), if it has any.
 	 *
 	 * @return {Value} The result of executing `this`.
+	 * @throws {BudgetError} Thrown if the interpreter's budget has been exceeded.
 	 */
 	run() {
-		return this.#func(...this.#args);
+		const tracers = this.#interpreter.tracers;
+
+		try {
+			this.#interpreter.step();
+
+			if (tracers.length === 0) {
+				return this.#func.apply(this, this.#args);
+			}
+
+			for (const tracer of tracers) {
+				tracer.enter(this);
+			}
+
+			let result;
+
+			try {
+				return result = this.#func.apply(this, this.#args);
+			} finally {
+				for (const tracer of tracers) {
+					tracer.leave(this, result);
+				}
+			}
+		} catch (error) {
+			if (error instanceof KnightError) {
+				error.span ??= this.span;
+				error.addFrame(this.traceName(), this.span);
+			}
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Returns the name of `this` as used in Knight call traces.
+	 *
+	 * When `C` is called with an identifier, the identifier is included, so that it's clear which
+	 * block was being called.
+	 *
+	 * @return {string}
+	 */
+	traceName() {
+		if (this.#name === 'C' && this.#args[0] instanceof Ident) {
+			return `C ${this.#args[0].name}`;
+		}
+
+		return this.#name;
 	}
 
 	/**
@@ -130,13 +271,17 @@ export default class Func extends Value {
 	}
 
 	/**
- 	 * Checks to see if `rhs` is _identical_ to `this`.
- 	 *
- 	 * @param {Value} rhs The value to compare against.
- 	 * @return {boolean} Whether `this` and `rhs` are the same object.
+	 * Returns this function and its arguments as JSON.
+	 *
+	 * @return {ValueJSON}
 	 */
-	eql(rhs) {
-		return Object.is(this, rhs);
+	toJSON() {
+		return {
+			kind: 'function',
+			name: this.#name,
+			args: this.#args.map(arg => arg.toJSON()),
+			span: this.span?.toJSON() ?? null,
+		};
 	}
 }
 
@@ -146,6 +291,9 @@ TYPES.push(Func);
 /**
  * Associates `name` with the function `func`, such that `Func.parse` recognizes it.
  *
+ * This only affects `Interpreter`s that are created afterwards; to register a function with an
+ * existing one, use `Interpreter#register`.
+ *
  * @param {string} name The name of the function; must be one letter long.
  * @param {function} func The function to associate with `name`.
  * @throw {Error} Thrown when `name` is not exactly one letter long.
@@ -164,28 +312,15 @@ export function register(name, func)  {
  ***/
 
 /**
- * Reads a line from stdin, retaining trailing newlines.
+ * Reads a line from stdin, stripping trailing newlines.
  *
- * @return {Str} The line read from stdin.
+ * @this {Func}
+ * @return {Str|Null} The line read from stdin, or `Null` if stdin is at its end.
  */
-register('P', () => {
-	let line = '';
-	let buf = Buffer.alloc(1);
-
-	do {
-		if (!readSync(0, buf, 0, 1)) {
-			if (!line.length) return new Null();
-			break;
-		}
-
-		if (buf[0] == 0x00) {
-			break;
-		}
+register('P', function () {
+	const line = this.interpreter.host.readLine();
 
-		line += buf;
-	} while (buf[0] != 0x0a);
-
-	return new Str(line.replace(/\r*\n?$/, ''));
+	return line === null ? new Null() : new Str(line);
 });
 
 /**
@@ -193,15 +328,30 @@ register('P', () => {
  *
  * @return {Int} A random number.
  */
-register('R', () => new Int(Math.floor(Math.random() * 0x1_0000_0000)));
+register('R', () => Int.random());
 
 /**
  * Evaluates `string` as a piece of Knight code.
  *
+ * Any Knight call trace frames from within `string` are marked as being evaluated.
+ *
+ * @this {Func}
  * @param {Value} string The string to evaluate.
  * @return {Value} The result of executing the string.
  */
-register('E', string => run(string.toString()));
+register('E', function (string) {
+	const source = string.toString();
+
+	try {
+		return this.interpreter.run(source, '<eval>');
+	} catch (error) {
+		if (error instanceof KnightError) {
+			error.markEvaluated(this.span, source);
+		}
+
+		throw error;
+	}
+});
 
 /**
  * Simply returns its argument unevaluated.
@@ -222,17 +372,23 @@ register('C', block => block.run().run());
 /**
  * Runs its argument as a shell command, returning the stdout of the command.
  *
+ * @this {Func}
  * @param {Value} command The command to run.
  * @return {Str} The stdout of `command`.
  */
-register('$', command => new Str(execSync(command.toString()).toString()));
+register('$', function (command) {
+	return new Str(this.interpreter.host.shell(command.toString()));
+});
 
 /**
  * Exits the program with the given status code.
  *
+ * @this {Func}
  * @param {Value} status The status code to exit with.
  */
-register('Q', status => process.exit(status.toNumber()));
+register('Q', function (status) {
+	this.interpreter.host.exit(status.toNumber());
+});
 
 /**
  * Converts `arg` to a boolean, then returns its negation.
@@ -254,13 +410,14 @@ register('L', arg => new Int(arg.toArray().length));
  * Writes the debug representation of `value` to stdout, without a trailing
  * newline, and then returns `value`.
  *
+ * @this {Func}
  * @param {Value} value The value to dump to stdout.
  * @return {Int} Simply `value` after running it.
  */
-register('D', value => {
+register('D', function (value) {
 	const result = value.run();
 
-	process.stdout.write(result.dump());
+	this.interpreter.host.write(result.dump());
 
 	return result;
 });
@@ -272,22 +429,23 @@ register('D', value => {
  * will be removed and no trailing newline will be added. Otherwise, a newline
  * will be printed after `input`.
  *
+ * @this {Func}
  * @param {Value} input The value to write to stdout.
  * @return {Null}
  */
-register('O', input => {
+register('O', function (input) {
 	const str = input.toString();
 
 	if (str.substr(-1) === '\\') {
-		process.stdout.write(str.substr(0, str.length - 1));
+		this.interpreter.host.write(str.substr(0, str.length - 1));
 	} else{
-		process.stdout.write(`${str}\n`);
+		this.interpreter.host.write(`${str}\n`);
 	}
 
 	return new Null();
 });
 
-register('~', input => new Int(-input.toNumber()));
+register('~', input => Int.negate(input));
 register(',', input => new List([input.run()]));
 register('[', input => input.run().head());
 register(']', input => input.run().tail());
@@ -404,14 +562,15 @@ register(';', (lhs, rhs) => (lhs.run(), rhs.run()));
 /**
  * Assigns `value` to `ident`.
  *
+ * @this {Func}
  * @param {Value} ident The name of the variable. If not an `Ident`, it will
  *                        be converted to a string automatically.
  * @param {Value} value The value to assign to `ident`.
  * @return {Value} The result of running `value`.
  */
-register('=', (ident, value) => {
+register('=', function (ident, value) {
 	if (!(ident instanceof Ident)) {
-		ident = new Ident(ident.toString());
+		ident = new Ident(ident.toString(), this.interpreter);
 	}
 
 	ident.assign(value = value.run());
@@ -421,12 +580,17 @@ register('=', (ident, value) => {
 /**
  * Executes the `body`` whilst the `condition` is true.
  *
+ * Each iteration counts as a step towards the interpreter's budget, as the body might not evaluate
+ * any functions.
+ *
+ * @this {Func}
  * @param {Value} condition The condition under which to continue the loop.
  * @param {Value} body The value that's to be executed during the loop.
  * @return {Null}
  */
-register('W', (condition, body) => {
+register('W', function (condition, body) {
 	while (condition.toBoolean()) {
+		this.interpreter.step();
 		body.run();
 	}
 
@@ -466,3 +630,12 @@ register('G', (collection, start, len) => collection.run().get(start, len));
  * @param {Value} repl The value to substitute for the specified range.
  */
 register('S', (collection, start, len, repl) => collection.run().set(start, len, repl));
+
+/**
+ * The functions that are builtin to Knight, as they were originally registered.
+ *
+ * This is used to tell whether a `Func` has its standard semantics, even if some were overwritten.
+ *
+ * @type {Object.<string, function>}
+ */
+export const BUILTINS = Object.freeze({ ...FUNCTIONS });
@@ -0,0 +1,194 @@
+import { RuntimeError } from './error.js';
+
+/**
+ * The interface through which Knight programs interact with the outside world.
+ *
+ * Every `Interpreter` has a host, which `P`, `O`, `D`, `$`, and `Q` go through.
+ *
+ * @typedef {Object} Host
+ * @property {function(): string?} readLine Reads a line (without the trailing newline) from the
+ *                                          input, returning `null` if there's nothing left.
+ * @property {function(string): void} write Writes a string to the output.
+ * @property {function(string): string} shell Runs a shell command, returning its stdout.
+ * @property {function(number): void} exit Exits the program with the given status code.
+ * @property {function(): void} [flush] Writes any output that's been buffered; called when the
+ *                                      interpreter finishes running code.
+ */
+
+/**
+ * Thrown by hosts that can't actually exit the program when `Q` is called.
+ */
+export class ExitError extends Error {
+	/**
+	 * The status code that `Q` was called with.
+	 *
+	 * @type {number}
+	 */
+	status;
+
+	/**
+	 * Creates a new `ExitError`.
+	 *
+	 * @param {number} status The status code that `Q` was called with.
+	 */
+	constructor(status) {
+		super(`exited with status ${status}`);
+
+		this.status = status;
+	}
+}
+
+/**
+ * The host used when none is given, which only relies on what every JavaScript runtime provides.
+ *
+ * Output is written a line at a time via `console.log`; a trailing partial line is held onto until
+ * the next newline is written, or until the interpreter finishes running. Reading input and running
+ * shell commands aren't supported, and exiting throws an `ExitError`.
+ *
+ * @implements {Host}
+ * @see NodeHost For a host that uses the current Node process.
+ */
+export class ConsoleHost {
+	/**
+	 * The partial line that's been written so far.
+	 *
+	 * @type {string}
+	 */
+	#line = '';
+
+	/**
+	 * Always fails, as reading input isn't supported.
+	 *
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	readLine() {
+		throw new RuntimeError("'P' requires a host that can read input");
+	}
+
+	/**
+	 * Writes every complete line in `string` to the console.
+	 *
+	 * @param {string} string The string to write.
+	 */
+	write(string) {
+		const lines = (this.#line + string).split('\n');
+
+		this.#line = lines.pop();
+
+		for (const line of lines) {
+			console.log(line);
+		}
+	}
+
+	/**
+	 * Writes the partial line that's been written so far, if there is one.
+	 *
+	 * Since `console.log` always ends with a newline, the line is ended early.
+	 */
+	flush() {
+		if (this.#line !== '') {
+			console.log(this.#line);
+			this.#line = '';
+		}
+	}
+
+	/**
+	 * Always fails, as shell commands aren't supported.
+	 *
+	 * @param {string} _command Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	shell(_command) {
+		throw new RuntimeError("'$' requires a host that can run shell commands");
+	}
+
+	/**
+	 * Stops the program by throwing an `ExitError`.
+	 *
+	 * @param {number} status The status code to exit with.
+	 * @throws {ExitError} This is always thrown.
+	 */
+	exit(status) {
+		throw new ExitError(status);
+	}
+}
+
+/**
+ * A host that reads its input from a string and collects its output, for driving Knight programs
+ * from JavaScript.
+ *
+ * Shell commands aren't supported, and exiting throws an `ExitError`.
+ *
+ * @implements {Host}
+ */
+export class MemoryHost {
+	/**
+	 * Everything that's been written so far.
+	 *
+	 * @type {string}
+	 */
+	output = '';
+
+	/**
+	 * The input that hasn't been read yet.
+	 *
+	 * @type {string}
+	 */
+	#input;
+
+	/**
+	 * Creates a new `MemoryHost` that reads from `input`.
+	 *
+	 * @param {string} [input] The input that `readLine` reads from.
+	 */
+	constructor(input='') {
+		this.#input = input;
+	}
+
+	/**
+	 * Reads a line from the input, without the trailing newline.
+	 *
+	 * @return {string?} The line, or `null` if the input is at its end.
+	 */
+	readLine() {
+		if (this.#input === '') {
+			return null;
+		}
+
+		const newline = this.#input.indexOf('\n');
+		const line = newline === -1 ? this.#input : this.#input.substring(0, newline + 1);
+
+		this.#input = this.#input.substring(line.length);
+
+		return line.replace(/\r*\n?$/, '');
+	}
+
+	/**
+	 * Appends `string` to the `output`.
+	 *
+	 * @param {string} string The string to write.
+	 */
+	write(string) {
+		this.output += string;
+	}
+
+	/**
+	 * Always fails, as shell commands aren't supported.
+	 *
+	 * @param {string} _command Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	shell(_command) {
+		throw new RuntimeError("'$' requires a host that can run shell commands");
+	}
+
+	/**
+	 * Stops the program by throwing an `ExitError`.
+	 *
+	 * @param {number} status The status code to exit with.
+	 * @throws {ExitError} This is always thrown.
+	 */
+	exit(status) {
+		throw new ExitError(status);
+	}
+}
@@ -1,49 +1,78 @@
 import Value, { TYPES } from './value.js';
-import { RuntimeError } from './error.js';
+import { ParseError, RuntimeError } from './error.js';
 
 /**
  * @typedef {import('./stream.js')} Stream
+ * @typedef {import('./value.js').ValueJSON} ValueJSON
+ * @typedef {import('./interpreter.js').default} Interpreter
  */
 
-/**
- * The list of all known identifiers.
- *
- * @private
- * @type {Object.<string, Value>}
- */
-const ENVIRONMENT = {};
-
 /**
  * The identifier class within Knight.
  *
  * As per the specs, all identifiers are global. As such, there is no scoping whatsoever: A single
- * `ENVIRONMENT` is used.
+ * environment, owned by the `Interpreter` that parsed the identifier, is used.
  */
 export default class Ident extends Value {
 	/** @type {string} */
 	#ident;
 
+	/** @type {Interpreter} */
+	#interpreter;
+
 	/**
 	 * Attempts to parse an `Ident` from the `stream`.
 	 *
 	 * @param {Stream} stream The stream with which to parse.
+	 * @param {Interpreter} interpreter The interpreter whose environment is used.
 	 * @return {Ident?} The parsed `Ident`, or `null` if the stream did not start with an `Ident`.
 	 */
-	static parse(stream) {
+	static parse(stream, interpreter) {
 		const match = stream.match(/^[a-z_][a-z0-9_]*/);
 
-		return match && new Ident(match);
+		return match && new Ident(match, interpreter);
+	}
+
+	/**
+	 * Recreates an `Ident` from `json`, if it's the JSON of one.
+	 *
+	 * @param {ValueJSON} json The JSON of the value.
+	 * @param {Interpreter} interpreter The interpreter whose environment is used.
+	 * @return {Ident?} The `Ident`, or `null` if `json` isn't an identifier.
+	 * @throws {ParseError} Thrown if the name isn't a valid identifier.
+	 */
+	static fromJSON(json, interpreter) {
+		if (json.kind !== 'identifier') {
+			return null;
+		}
+
+		if (typeof json.name !== 'string' || !/^[a-z_][a-z0-9_]*$/.test(json.name)) {
+			throw new ParseError(`Invalid identifier: ${JSON.stringify(json.name)}`);
+		}
+
+		return new Ident(json.name, interpreter);
 	}
 
 	/**
 	 * Creates a new `Ident` with the given name.
 	 *
 	 * @param {string} ident The name of this identifier.
+	 * @param {Interpreter} interpreter The interpreter whose environment is used.
 	 */
-	constructor(ident) {
+	constructor(ident, interpreter) {
 		super();
 
 		this.#ident = ident;
+		this.#interpreter = interpreter;
+	}
+
+	/**
+	 * The name of this identifier.
+	 *
+	 * @return {string}
+	 */
+	get name() {
+		return this.#ident;
 	}
 
 	/**
@@ -55,28 +84,48 @@ export default class Ident extends Value {
 		return `Identifier(${this.#ident})`;
 	}
 
+	/**
+	 * Returns this identifier as JSON.
+	 *
+	 * @return {ValueJSON}
+	 */
+	toJSON() {
+		return { kind: 'identifier', name: this.#ident, span: this.span?.toJSON() ?? null };
+	}
+
 	/**
 	 * Associates `value` with this class.
 	 *
-	 * Any previously associated `Value` is simply discarded.
+	 * Any previously associated `Value` is simply discarded. This is reported to the interpreter's
+	 * tracers that want to know about writes.
 	 *
 	 * @param {Value} value The value to associate with this identifier's name.
 	 */
 	assign(value) {
-		ENVIRONMENT[this.#ident] = value;
+		for (const tracer of this.#interpreter.tracers) {
+			tracer.write?.(this);
+		}
+
+		this.#interpreter.variables.set(this.#ident, value);
 	}
 
 	/**
 	 * Executes this identifier, returning its last assigned value.
 	 *
+	 * This is reported to the interpreter's tracers that want to know about reads.
+	 *
 	 * @return {Value} The last value associated with this identifier's name.
 	 * @throws {RuntimeError} Thrown if this identifier was never assigned to.
 	 */
 	run() {
-		const value = ENVIRONMENT[this.#ident];
+		for (const tracer of this.#interpreter.tracers) {
+			tracer.read?.(this);
+		}
+
+		const value = this.#interpreter.variables.get(this.#ident);
 
 		if (value === undefined) {
-			throw new RuntimeError(`Unknown identifier '${this.#ident}'`);
+			throw new RuntimeError(`Unknown identifier '${this.#ident}'`, this.span);
 		} else {
 			return value;
 		}
@@ -1,20 +1,74 @@
 import { TYPES } from './value.js';
 import Literal from './literal.js';
-import Str from './str.js';
-import { RuntimeError } from './error.js';
+import Str, { isKnightCodepoint } from './str.js';
+import { ParseError, RuntimeError } from './error.js';
+import { settings, INT_MAX, checkInt, undefinedBehaviour } from './settings.js';
 
 /**
  * @typedef {import('./stream.js')} Stream
  * @typedef {import('./value.js')} Value
+ * @typedef {import('./value.js').ValueJSON} ValueJSON
  */
 
+/**
+ * Returns `lhs` multiplied by `rhs`, applying `settings.overflow`.
+ *
+ * @private
+ * @param {string} operation The name of the function that's multiplying.
+ * @param {number|bigint} lhs The first integer.
+ * @param {number|bigint} rhs The second integer, which has the same type as `lhs`.
+ * @return {number|bigint}
+ * @throws {RuntimeError} If the product overflows, and `settings.overflow` is `check`.
+ */
+function multiply(operation, lhs, rhs) {
+	// Products of `number`s lose precision above 2^53, so `Math.imul` is needed to wrap exactly.
+	if (settings.overflow === 'wrap' && typeof lhs === 'number' && !settings.strict) {
+		return Math.imul(lhs, rhs);
+	}
+
+	return checkInt(operation, lhs * rhs);
+}
+
+/**
+ * Returns `base` raised to the non-negative `exponent`, applying `settings.overflow` at each step.
+ *
+ * This uses exponentiation by squaring, so that wrapping results don't have to be computed in full
+ * first. Each intermediate value is no larger than the result, so checking them is equivalent.
+ *
+ * @private
+ * @param {number|bigint} base The base.
+ * @param {number|bigint} exponent The exponent, which has the same type as `base`.
+ * @return {number|bigint}
+ * @throws {RuntimeError} If the result overflows, and `settings.overflow` is `check`.
+ */
+function power(base, exponent) {
+	const [zero, one, two] = typeof base === 'bigint' ? [0n, 1n, 2n] : [0, 1, 2];
+	var result = one;
+
+	while (exponent > zero) {
+		if (exponent % two === one) {
+			result = multiply('^', result, base);
+		}
+
+		exponent = typeof exponent === 'bigint' ? exponent / two : Math.floor(exponent / two);
+
+		if (exponent > zero) {
+			base = multiply('^', base, base);
+		}
+	}
+
+	return result;
+}
+
 /**
  * The number type within Knight.
  *
- * As per the Knight specs, the only number type allowed are integers.
+ * As per the Knight specs, the only number type allowed are integers. These are usually stored as
+ * `number`s, which lose precision above 2^53; when `settings.bigint` is enabled, they're stored as
+ * `BigInt`s instead, which are exact.
  *
  * @see Value For more information on why we don't simply use `number`s.
- * @extends {Literal<number>}
+ * @extends {Literal<number|bigint>}
  */
 export default class Int extends Literal {
 	/**
@@ -22,11 +76,97 @@ export default class Int extends Literal {
 	 *
 	 * @param {Stream} stream The stream from which to parse.
 	 * @return {Int?} The parsed `Int`, or `null` if the stream did not start with a digit.
+	 * @throws {ParseError} If strict, and the integer doesn't fit in 32 bits, or if it doesn't fit in
+	 *                      `settings.intWidth` bits and `settings.overflow` is `check`.
 	 */
 	static parse(stream) {
+		const start = stream.position();
 		const match = stream.match(/^\d+/);
 
-		return match && new Int(Number(match));
+		if (match === null) {
+			return null;
+		}
+
+		if (settings.strict && INT_MAX < Number(match)) {
+			throw new ParseError(`undefined behaviour: ${match} doesn't fit in 32 bits`, stream.spanFrom(start));
+		}
+
+		if (settings.overflow !== 'float') {
+			const integer = BigInt(match);
+			const wrapped = BigInt.asIntN(settings.intWidth, integer);
+
+			if (settings.overflow === 'check' && wrapped !== integer) {
+				throw new ParseError(`integer overflow: ${match} doesn't fit in ${settings.intWidth} bits`,
+					stream.spanFrom(start));
+			}
+
+			return new Int(wrapped);
+		}
+
+		return new Int(settings.bigint ? BigInt(match) : Number(match));
+	}
+
+	/**
+	 * Recreates an `Int` from `json`, if it's the JSON of one.
+	 *
+	 * @param {ValueJSON} json The JSON of the value.
+	 * @return {Int?} The `Int`, or `null` if `json` isn't an integer.
+	 * @throws {ParseError} Thrown if the value isn't an integer, or a string of one.
+	 */
+	static fromJSON(json) {
+		if (json.kind !== 'integer') {
+			return null;
+		}
+
+		if (!Number.isInteger(json.value) && !/^-?\d+$/.test(json.value)) {
+			throw new ParseError(`Invalid integer: ${JSON.stringify(json.value)}`);
+		}
+
+		return new Int(json.value);
+	}
+
+	/**
+	 * Returns a new random, non-negative `Int`, as per `R`.
+	 *
+	 * Unless `settings.overflow` is `float`, this fits in `settings.intWidth` bits.
+	 *
+	 * @return {Int}
+	 */
+	static random() {
+		if (settings.overflow === 'float') {
+			return new Int(Math.floor(Math.random() * 0x1_0000_0000));
+		}
+
+		const high = Math.floor(Math.random() * 0x8000_0000);
+
+		if (settings.intWidth === 32) {
+			return new Int(high);
+		}
+
+		return new Int((BigInt(high) << 32n) | BigInt(Math.floor(Math.random() * 0x1_0000_0000)));
+	}
+
+	/**
+	 * Returns a new `Int` that is `value` negated, as per `~`.
+	 *
+	 * @param {Value} value The value to negate; converted to an integer.
+	 * @return {Int}
+	 * @throws {RuntimeError} If the result overflows, and either strict or `settings.overflow` is
+	 *                        `check`.
+	 */
+	static negate(value) {
+		return new Int(checkInt('~', -value.toInteger()));
+	}
+
+	/**
+	 * Creates a new `Int`.
+	 *
+	 * @param {number|bigint} data The integer; converted to a `BigInt` if `settings.bigint` is
+	 *                             enabled (and to a `number` otherwise), so that all `Int`s created
+	 *                             while running have the same type.
+	 */
+	constructor(data) {
+		super(settings.bigint ? BigInt(data) : Number(data));
 	}
 
 	/**
@@ -38,6 +178,30 @@ export default class Int extends Literal {
 		return this.toString();
 	}
 
+	/**
+	 * Returns this int as JSON; it's a string if a JSON number can't hold it exactly.
+	 *
+	 * @return {ValueJSON}
+	 */
+	toJSON() {
+		const value = Number(this._data);
+
+		return {
+			kind: 'integer',
+			value: Number.isSafeInteger(value) ? value : this._data.toString(),
+			span: this.span?.toJSON() ?? null,
+		};
+	}
+
+	/**
+	 * Returns the int as a `number`, or as a `BigInt` if `settings.bigint` is enabled.
+	 *
+	 * @return {number|bigint}
+	 */
+	toInteger() {
+		return settings.bigint ? BigInt(this._data) : Number(this._data);
+	}
+
 	/**
 	 * Returns the list of digits in the int.
 	 * 
@@ -46,6 +210,13 @@ export default class Int extends Literal {
 	 * @returns {Array<Int>}
 	 */
 	toArray() {
+		if (typeof this._data === 'bigint') {
+			// `BigInt`s can be arbitrarily large, so the digits are taken from the string instead.
+			const sign = this._data < 0n ? -1n : 1n;
+
+			return Array.from(String(this._data * sign), digit => new Int(sign * BigInt(digit)));
+		}
+
 		if (this._data === 0) {
 			return [this];
 		}
@@ -65,9 +236,11 @@ export default class Int extends Literal {
 	 *
 	 * @param {Value} rhs The value to add to `this`.
 	 * @return {Int} The result of the addition.
+	 * @throws {RuntimeError} If the result overflows, and either strict or `settings.overflow` is
+	 *                        `check`.
 	 */
 	add(rhs) {
-		return new Int(this._data + rhs.toNumber());
+		return new Int(checkInt('+', this.toInteger() + rhs.toInteger()));
 	}
 
 	/**
@@ -75,9 +248,11 @@ export default class Int extends Literal {
 	 *
 	 * @param {Value} rhs The value to subtract from `this`.
 	 * @return {Int} The result of the subtraction.
+	 * @throws {RuntimeError} If the result overflows, and either strict or `settings.overflow` is
+	 *                        `check`.
 	 */
 	sub(rhs) {
-		return new Int(this._data - rhs.toNumber());
+		return new Int(checkInt('-', this.toInteger() - rhs.toInteger()));
 	}
 
 	/**
@@ -85,9 +260,11 @@ export default class Int extends Literal {
 	 *
 	 * @param {Value} rhs The value to multiply from `this`.
 	 * @return {Int} The result of the multiplication.
+	 * @throws {RuntimeError} If the result overflows, and either strict or `settings.overflow` is
+	 *                        `check`.
 	 */
 	mul(rhs) {
-		return new Int(this._data * rhs.toNumber());
+		return new Int(multiply('*', this.toInteger(), rhs.toInteger()));
 	}
 
 	/**
@@ -97,15 +274,19 @@ export default class Int extends Literal {
 	 *
 	 * @param {Value} rhs The value to divide from `this`.
 	 * @return {Int} The result of the division.
-	 * @throws {RuntimeError} Thrown if `rhs` is zero.
+	 * @throws {RuntimeError} Thrown if `rhs` is zero, or if the result overflows and either strict or
+	 *                        `settings.overflow` is `check`.
 	 */
 	div(rhs) {
-		const rhsInt = rhs.toNumber();
+		const lhsInt = this.toInteger();
+		const rhsInt = rhs.toInteger();
 
 		if (!rhsInt) {
 			throw new RuntimeError('Cannot divide by zero');
 		} else {
-			return new Int(Math.trunc(this._data / rhsInt));
+			// `BigInt` division already truncates.
+			const quotient = lhsInt / rhsInt;
+			return new Int(checkInt('/', settings.bigint ? quotient : Math.trunc(quotient)));
 		}
 	}
 
@@ -114,15 +295,18 @@ export default class Int extends Literal {
 	 *
 	 * @param {Value} rhs The base of the modulation.
 	 * @return {Int} The result of the modulo operation.
-	 * @throws {RuntimeError} Thrown if `rhs` is zero.
+	 * @throws {RuntimeError} Thrown if `rhs` is zero, or if strict and either number is negative.
 	 */
 	mod(rhs) {
-		const rhsInt = rhs.toNumber();
+		const lhsInt = this.toInteger();
+		const rhsInt = rhs.toInteger();
 
 		if (!rhsInt) {
 			throw new RuntimeError('Cannot modulo by zero');
+		} else if (settings.strict && (lhsInt < 0 || rhsInt < 0)) {
+			undefinedBehaviour(`'%' with a negative number (${lhsInt} and ${rhsInt})`);
 		} else {
-			return new Int(this._data % rhsInt);
+			return new Int(lhsInt % rhsInt);
 		}
 	}
 
@@ -134,14 +318,28 @@ export default class Int extends Literal {
 	 *
 	 * @param {Value} rhs The exponent
 	 * @return {Int} The result of the exponentiation.
+	 * @throws {RuntimeError} Thrown if `this` is zero and `rhs` is negative, if strict and `rhs` is
+	 *                        negative, or if the result overflows and either strict or
+	 *                        `settings.overflow` is `check`.
 	 */
 	pow(rhs) {
-		const rhsInt = rhs.toNumber();
+		const lhsInt = this.toInteger();
+		const rhsInt = rhs.toInteger();
 
-		if (!this._data && rhsInt < 0) {
+		if (!lhsInt && rhsInt < 0) {
 			throw new RuntimeError('Cannot exponentiate zero to a negative power');
+		} else if (settings.strict && rhsInt < 0) {
+			undefinedBehaviour(`'^' with a negative exponent (${rhsInt})`);
+		} else if (settings.overflow !== 'float' && rhsInt > 0) {
+			return new Int(power(lhsInt, rhsInt));
+		} else if (!settings.bigint) {
+			return new Int(checkInt('^', Math.trunc(lhsInt ** rhsInt)));
+		} else if (rhsInt < 0n) {
+			// `BigInt`s can't have negative exponents, so truncate the fraction ourselves: only `1`
+			// and `-1` have a nonzero result.
+			return new Int(lhsInt === 1n || lhsInt === -1n ? lhsInt ** -rhsInt : 0n);
 		} else {
-			return new Int(Math.trunc(this._data ** rhsInt));
+			return new Int(checkInt('^', lhsInt ** rhsInt));
 		}
 	}
 
@@ -153,16 +351,26 @@ export default class Int extends Literal {
 	 * @return {int} a negative, zero, or positive integer.
 	 */
 	cmp(rhs) {
-		return this._data - rhs.toNumber();
+		const lhsInt = this.toInteger();
+		const rhsInt = rhs.toInteger();
+
+		return lhsInt < rhsInt ? -1 : lhsInt > rhsInt ? 1 : 0;
 	}
 
 	/**
 	 * Interprets `this` as a codepoint and returns a `Str` containing it.
 	 * 
 	 * @returns {Str}
+	 * @throws {RuntimeError} If strict, and `this` isn't a codepoint that Knight strings can contain.
 	 */
 	ascii () {
-		return new Str(String.fromCharCode(this._data));
+		const codepoint = this.toNumber();
+
+		if (settings.strict && !isKnightCodepoint(codepoint)) {
+			undefinedBehaviour(`'A' with ${codepoint}, which isn't a valid character`);
+		}
+
+		return new Str(String.fromCharCode(codepoint));
 	}
 }
 
@@ -0,0 +1,462 @@
+import Value from './value.js';
+import Stream from './stream.js';
+import { FUNCTIONS } from './func.js';
+import { ParseError, RuntimeError, BudgetError } from './error.js';
+import { ConsoleHost } from './host.js';
+import VM from './vm.js';
+import { evaluate } from './transpiler.js';
+import { withSettings, OVERFLOW_POLICIES, INT_WIDTHS } from './settings.js';
+
+/**
+ * @typedef {import('./host.js').Host} Host
+ * @typedef {import('./debugger.js').default} Debugger
+ * @typedef {import('./profiler.js').default} Profiler
+ * @typedef {import('./coverage.js').default} Coverage
+ * @typedef {import('./settings.js').Settings} Settings
+ * @typedef {import('./func.js').default} Func
+ * @typedef {import('./ident.js').default} Ident
+ * @typedef {import('./value.js').ValueJSON} ValueJSON
+ */
+
+/**
+ * Something that's told about code as the tree-walking interpreter runs it, eg a `Debugger` or a
+ * `Profiler`.
+ *
+ * @typedef {Object} Tracer
+ * @property {function(Value): void} [parse] Called with each program that's about to be run,
+ *                                           other than code run by `E`.
+ * @property {function(Func): void} enter Called before a function is run.
+ * @property {function(Func, Value=): void} leave Called after a function has run, even if it
+ *                                                failed, with its result if it didn't.
+ * @property {function(Ident): void} [read] Called before an identifier is read.
+ * @property {function(Ident): void} [write] Called before an identifier is assigned.
+ */
+
+/**
+ * The names of the capabilities that can be denied, and the function that requires each.
+ *
+ * @type {Object.<string, string>}
+ */
+export const CAPABILITIES = {
+	shell: '$',
+	exit: 'Q',
+	eval: 'E',
+	input: 'P',
+};
+
+/**
+ * Returns a function which fails with a "permission denied" error when run.
+ *
+ * @private
+ * @param {string} name The name of the function that's been denied.
+ * @param {number} arity The amount of arguments the function takes, so that it still parses.
+ * @return {function}
+ */
+function denied(name, arity) {
+	const func = () => {
+		throw new RuntimeError(`permission denied: ${name}`);
+	};
+
+	return Object.defineProperty(func, 'length', { value: arity });
+}
+
+/**
+ * An isolated instance of Knight, with its own variables, functions, and I/O.
+ *
+ * Values are bound to the interpreter they were parsed by, so identifiers and functions always
+ * resolve through the same instance, even when passed around (eg via `B`).
+ */
+export default class Interpreter {
+	/**
+	 * The values of all assigned identifiers.
+	 *
+	 * @type {Map<string, Value>}
+	 */
+	variables = new Map();
+
+	/**
+	 * The functions that `Func.parse` recognizes, keyed by name.
+	 *
+	 * This starts out as a copy of the functions `register`ed at the time of construction.
+	 *
+	 * @type {Object.<string, function>}
+	 * @see {@link register} for how to add new functions.
+	 */
+	functions = { ...FUNCTIONS };
+
+	/**
+	 * What `P`, `O`, `D`, `$`, and `Q` use to interact with the outside world.
+	 *
+	 * @type {Host}
+	 */
+	host;
+
+	/**
+	 * The virtual machine that runs compiled code, or `null` if the tree of values is walked instead.
+	 *
+	 * @type {VM?}
+	 */
+	vm;
+
+	/**
+	 * Whether code is transpiled to JavaScript and run directly.
+	 *
+	 * @type {boolean}
+	 */
+	js;
+
+	/**
+	 * The capabilities that code run by this interpreter isn't allowed to use, eg `shell`.
+	 *
+	 * @type {Array<string>}
+	 */
+	deny;
+
+	/**
+	 * The most functions that can be evaluated during a single call to `run`.
+	 *
+	 * With a `vm`, this and `timeoutMs` are only enforced if one of them was given when constructing
+	 * the interpreter.
+	 *
+	 * @type {number}
+	 */
+	maxSteps;
+
+	/**
+	 * The most milliseconds that a single call to `run` can take, or `null` for no limit.
+	 *
+	 * @type {number?}
+	 */
+	timeoutMs;
+
+	/**
+	 * The longest string that code run by this interpreter can create.
+	 *
+	 * @type {number}
+	 */
+	maxStringLength;
+
+	/**
+	 * The longest list that code run by this interpreter can create.
+	 *
+	 * @type {number}
+	 */
+	maxListLength;
+
+	/**
+	 * Whether behaviour that the Knight spec leaves undefined, such as integer overflow, is an error.
+	 *
+	 * @type {boolean}
+	 */
+	strict;
+
+	/**
+	 * Whether integers are arbitrary-precision `BigInt`s, instead of `number`s that lose precision
+	 * above 2^53.
+	 *
+	 * @type {boolean}
+	 */
+	bigint;
+
+	/**
+	 * What happens when an integer doesn't fit in `intWidth` bits: `float` (nothing happens),
+	 * `wrap` (it wraps around), or `check` (it's a `RuntimeError`).
+	 *
+	 * @type {'float'|'wrap'|'check'}
+	 */
+	overflow;
+
+	/**
+	 * How many bits integers have, unless `overflow` is `float`: either 32 or 64.
+	 *
+	 * @type {number}
+	 */
+	intWidth;
+
+	/**
+	 * The debugger that pauses code, or `null` if there isn't one.
+	 *
+	 * @type {Debugger?}
+	 */
+	debugger = null;
+
+	/**
+	 * The profiler that measures code, or `null` if there isn't one.
+	 *
+	 * @type {Profiler?}
+	 */
+	profiler = null;
+
+	/**
+	 * What records which code has been run, or `null` if nothing does.
+	 *
+	 * @type {Coverage?}
+	 */
+	coverage = null;
+
+	/**
+	 * What's told about code as it's run: the `debugger`, `profiler`, and `coverage`, if there are
+	 * any.
+	 *
+	 * @type {Array<Tracer>}
+	 */
+	tracers = [];
+
+	/**
+	 * How many functions have been evaluated during the current (or most recent) call to `run`.
+	 *
+	 * @type {number}
+	 */
+	steps = 0;
+
+	/**
+	 * When the current call to `run` must finish by, or `null` if there's no limit.
+	 *
+	 * @type {number?}
+	 */
+	#deadline = null;
+
+	/**
+	 * Whether `run` is currently running, so that nested calls (eg from `E`) share the budget.
+	 *
+	 * @type {boolean}
+	 */
+	#running = false;
+
+	/**
+	 * Creates a new `Interpreter`.
+	 *
+	 * @param {Object} [options]
+	 * @param {Host} [options.host] The host to use for I/O; defaults to a `ConsoleHost`.
+	 * @param {boolean} [options.vm] Whether to compile code to bytecode and run it with a `VM`.
+	 * @param {number} [options.maxDepth] With `vm`, the most blocks (and `E`s) that can be running at
+	 *                                     once; defaults to `100_000`.
+	 * @param {boolean} [options.js] Whether to transpile code to JavaScript and run that instead; this
+	 *                               takes precedence over `vm`.
+	 * @param {number} [options.maxSteps] The most functions that can be evaluated during a single call
+	 *                                    to `run`; defaults to no limit.
+	 * @param {number?} [options.timeoutMs] The most milliseconds a single call to `run` can take;
+	 *                                      defaults to no limit.
+	 * @param {number} [options.maxStringLength] The longest string that code can create; defaults to
+	 *                                           no limit.
+	 * @param {number} [options.maxListLength] The longest list that code can create; defaults to no
+	 *                                         limit.
+	 * @param {Array<string>} [options.deny] The capabilities that code isn't allowed to use: any of
+	 *                                       `shell` (`$`), `exit` (`Q`), `eval` (`E`), and `input`
+	 *                                       (`P`). Denied functions still parse, but raise a
+	 *                                       `RuntimeError` when run.
+	 * @param {boolean} [options.strict] Whether behaviour that the Knight spec leaves undefined is a
+	 *                                   `RuntimeError` (or `ParseError`), so that code is portable.
+	 * @param {boolean} [options.bigint] Whether integers are arbitrary-precision `BigInt`s.
+	 * @param {'float'|'wrap'|'check'} [options.overflow] What happens when an integer doesn't fit
+	 *                                                    in `intWidth` bits; defaults to `float`,
+	 *                                                    which loses precision above 2^53 instead.
+	 * @param {number} [options.intWidth] How many bits integers have, unless `overflow` is `float`:
+	 *                                    32 (the default) or 64. 64-bit integers are `BigInt`s.
+	 * @param {Debugger?} [options.debugger] The debugger to pause code with. This can't be used with
+	 *                                        `vm` or `js`.
+	 * @param {Profiler?} [options.profiler] The profiler to measure code with. This can't be used
+	 *                                        with `vm` or `js` either.
+	 * @param {Coverage?} [options.coverage] What to record which code is run with. This can't be
+	 *                                        used with `vm` or `js` either.
+	 * @throws {Error} Thrown if `deny` contains an unknown capability, `overflow` is an unknown
+	 *                 policy, `intWidth` isn't supported, `maxDepth` is given without `vm` (or with
+	 *                 `js`), or a `debugger`, `profiler`, or `coverage` is given with `vm` or `js`.
+	 */
+	constructor({
+		host = new ConsoleHost(), vm = false, maxDepth, js = false, maxSteps = Infinity, timeoutMs = null,
+		maxStringLength = Infinity, maxListLength = Infinity, deny = [], strict = false,
+		bigint = false, overflow = 'float', intWidth = 32, debugger: debug = null, profiler = null,
+		coverage = null,
+	} = {}) {
+		if (maxDepth !== undefined && (!vm || js)) {
+			throw new Error('A maximum depth can only be used with vm, and without js.');
+		}
+
+		if (debug !== null && (vm || js)) {
+			throw new Error('A debugger can only be used without vm or js.');
+		}
+
+		if (profiler !== null && (vm || js)) {
+			throw new Error('A profiler can only be used without vm or js.');
+		}
+
+		if (coverage !== null && (vm || js)) {
+			throw new Error('Coverage can only be recorded without vm or js.');
+		}
+
+		if (!OVERFLOW_POLICIES.includes(overflow)) {
+			throw new Error(`Unknown overflow policy '${overflow}'.`);
+		}
+
+		if (!INT_WIDTHS.includes(intWidth)) {
+			throw new Error(`Unsupported integer width '${intWidth}'.`);
+		}
+
+		for (const capability of deny) {
+			if (!Object.hasOwn(CAPABILITIES, capability)) {
+				throw new Error(`Unknown capability '${capability}'.`);
+			}
+
+			const name = CAPABILITIES[capability];
+
+			this.register(name, denied(name, this.functions[name].length));
+		}
+
+		this.host = host;
+		this.deny = deny;
+		this.maxSteps = maxSteps;
+		this.timeoutMs = timeoutMs;
+		this.maxStringLength = maxStringLength;
+		this.maxListLength = maxListLength;
+		this.strict = strict;
+		// `number`s can't hold every 64-bit integer.
+		this.bigint = bigint || (overflow !== 'float' && intWidth > 32);
+		this.overflow = overflow;
+		this.intWidth = intWidth;
+		this.debugger = debug;
+		this.profiler = profiler;
+		this.coverage = coverage;
+		this.tracers = [debug, profiler, coverage].filter(tracer => tracer !== null);
+		this.vm = vm ? new VM({ maxDepth, counted: this.counted }) : null;
+		this.js = js;
+	}
+
+	/**
+	 * Whether functions need to call `step` when they're evaluated, ie whether there's a budget.
+	 *
+	 * @return {boolean}
+	 */
+	get counted() {
+		return this.maxSteps !== Infinity || this.timeoutMs !== null;
+	}
+
+	/**
+	 * Records that a function is being evaluated.
+	 *
+	 * @throws {BudgetError} Thrown if `maxSteps` or `timeoutMs` has been exceeded.
+	 */
+	step() {
+		if (this.steps === this.maxSteps) {
+			throw new BudgetError(`Step limit of ${this.maxSteps} exceeded`, this.steps);
+		}
+
+		// Checking the time is comparatively slow, so it's only done every so often.
+		if (++this.steps % 1024 === 0 && this.#deadline !== null && Date.now() > this.#deadline) {
+			throw new BudgetError(`Time limit of ${this.timeoutMs}ms exceeded`, this.steps);
+		}
+	}
+
+	/**
+	 * Associates `name` with the function `func` for this interpreter only.
+	 *
+	 * @param {string} name The name of the function; must be one letter long.
+	 * @param {function} func The function to associate with `name`.
+	 * @throw {Error} Thrown when `name` is not exactly one letter long.
+	 */
+	register(name, func) {
+		if (name.length !== 1) {
+			throw new Error('Name must be exactly one character long.');
+		}
+
+		this.functions[name] = func;
+	}
+
+	/**
+	 * Parses `source` as Knight code, without running it.
+	 *
+	 * @param {string} source The code to parse.
+	 * @param {string} [filename] The name of the file `source` came from; used in error messages.
+	 * @return {Value} The parsed code.
+	 * @throws {ParseError} If no value could be parsed.
+	 */
+	parse(source, filename) {
+		const stream = new Stream(source.toString(), filename);
+		const value = withSettings(this.settings, () => Value.parse(stream, this));
+
+		if (value === null) {
+			throw new ParseError('No value could be parsed!', stream.spanFrom(stream.position()));
+		}
+
+		return value;
+	}
+
+	/**
+	 * Recreates code from the JSON of its syntax tree (see `Value#toJSON`), without running it.
+	 *
+	 * @param {ValueJSON} json The JSON of the code.
+	 * @param {string?} [source] The source code that `json` was parsed from; if given, the code's
+	 *                           spans are recreated, so that errors have locations.
+	 * @return {Value} The recreated code.
+	 * @throws {ParseError} Thrown if `json` isn't valid.
+	 */
+	fromJSON(json, source = null) {
+		return withSettings(this.settings, () => Value.fromJSON(json, this, source));
+	}
+
+	/**
+	 * Parses and executes `source` as Knight code.
+	 *
+	 * @param {string|Value} source The code to parse and execute, or code that's already been parsed
+	 *                              (eg by `parse` or `fromJSON`).
+	 * @param {string} [filename] The name of the file `source` came from; used in error messages.
+	 * @return {Value} The result of executing the code.
+	 * @throws {BudgetError} Thrown if the code evaluates more than `maxSteps` functions, or runs for
+	 *                       longer than `timeoutMs`.
+	 * @throws {RuntimeError} Thrown if the code would create a string longer than `maxStringLength`,
+	 *                        or a list longer than `maxListLength`, or if `strict` and the code
+	 *                        does something undefined.
+	 */
+	run(source, filename) {
+		const value = source instanceof Value ? source : this.parse(source, filename);
+
+		if (this.#running) {
+			return this.#execute(value);
+		}
+
+		for (const tracer of this.tracers) {
+			tracer.parse?.(value);
+		}
+
+		this.steps = 0;
+		this.#deadline = this.timeoutMs === null ? null : Date.now() + this.timeoutMs;
+		this.#running = true;
+
+		try {
+			return withSettings(this.settings, () => this.#execute(value));
+		} finally {
+			this.#running = false;
+			this.host.flush?.();
+		}
+	}
+
+	/**
+	 * The settings that values should use while this interpreter is parsing or running code.
+	 *
+	 * @type {Settings}
+	 */
+	get settings() {
+		return {
+			maxStringLength: this.maxStringLength,
+			maxListLength: this.maxListLength,
+			strict: this.strict,
+			bigint: this.bigint,
+			overflow: this.overflow,
+			intWidth: this.intWidth,
+		};
+	}
+
+	/**
+	 * Runs `value` with whichever way of executing code this interpreter uses.
+	 *
+	 * @param {Value} value The value to run.
+	 * @return {Value}
+	 */
+	#execute(value) {
+		if (this.js) {
+			return evaluate(value, this);
+		}
+
+		return this.vm ? this.vm.run(value) : value.run();
+	}
+}
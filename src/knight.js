@@ -1,23 +1,41 @@
-import Value from './value.js';
-import Stream from './stream.js';
-import {} from './func.js';
-import { ParseError } from './error.js';
+/**
+ * The platform-neutral entry point, which can be used in any JavaScript runtime.
+ *
+ * Use `node.js` instead to get access to `NodeHost`, which supports all of Knight's I/O.
+ */
+
+import Interpreter from './interpreter.js';
+
+/**
+ * @typedef {import('./value.js').default} Value
+ */
+
+export { KnightError, ParseError, IncompleteParseError, RuntimeError, BudgetError } from './error.js';
+export { ConsoleHost, MemoryHost, ExitError } from './host.js';
+export { default as Debugger } from './debugger.js';
+export { default as Profiler } from './profiler.js';
+export { default as Coverage } from './coverage.js';
+export { Interpreter };
 
-// Only KnightError is exported by default.
-export { KnightError } from './error.js';
+/**
+ * The interpreter used by `run`; it's created the first time `run` is called.
+ *
+ * @private
+ * @type {Interpreter?}
+ */
+let defaultInterpreter = null;
 
 /**
- * Parses and executes the input as Knight code.
+ * Parses and executes the input as Knight code, using a default `Interpreter` with a `ConsoleHost`.
+ *
+ * Since the same interpreter is used each time, variables persist between calls.
  *
  * @param {string} input The string to parse and execute.
+ * @param {string} [filename] The name of the file `input` came from; used in error messages.
  * @return {Value} The result of executing the code.
  */
-export function run(input) {
-	const value = Value.parse(new Stream(input.toString()));
+export function run(input, filename) {
+	defaultInterpreter ??= new Interpreter();
 
-	if (value === null) {
-		throw new ParseError('No value could be parsed!');
-	} else {
-		return value.run();
-	}
+	return defaultInterpreter.run(input, filename);
 }
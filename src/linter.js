@@ -0,0 +1,188 @@
+import Func from './func.js';
+import Ident from './ident.js';
+import Literal from './literal.js';
+import Interpreter from './interpreter.js';
+
+/**
+ * @typedef {import('./value.js').default} Value
+ * @typedef {import('./span.js').default} Span
+ */
+
+/**
+ * A problem found by `lint`.
+ *
+ * @typedef {Object} Warning
+ * @property {string} rule The ID of the rule that found the problem; one of the keys of `RULES`.
+ * @property {string} message What the problem is.
+ * @property {Span} span Where the problem is.
+ */
+
+/**
+ * The rules that `lint` checks, and what each of them finds.
+ *
+ * @type {Object.<string, string>}
+ */
+export const RULES = {
+	'undefined-variable': 'identifiers that are read, but never assigned',
+	'unused-variable': 'identifiers that are assigned, but never read',
+	'non-identifier-assignment': "'=' whose first argument isn't an identifier",
+	'infinite-loop': "'W' whose condition is always true, and which has no 'Q'",
+	'dead-branch': "branches of 'I' that never run, as its condition is a literal",
+};
+
+/**
+ * Returns every value in `value`, in the order they appear in the source code.
+ *
+ * @private
+ * @param {Value} value The value to walk.
+ * @return {Array<Value>}
+ */
+function walk(value) {
+	return value instanceof Func ? [value, ...value.args.flatMap(walk)] : [value];
+}
+
+/**
+ * Returns whether `value` is a function named `name`.
+ *
+ * @private
+ * @param {Value} value The value to check.
+ * @param {string} name The name of the function.
+ * @return {boolean}
+ */
+function isFunc(value, name) {
+	return value instanceof Func && value.name === name;
+}
+
+/**
+ * Finds identifiers that are read but never assigned, and assigned but never read.
+ *
+ * Programs that use `E`, or assign to something other than an identifier, aren't checked, as they
+ * can refer to identifiers by their names.
+ *
+ * @private
+ * @param {Array<Value>} values Every value in the program.
+ * @param {function(string, string, Span)} warn Called with each problem that's found.
+ */
+function checkVariables(values, warn) {
+	const isDynamic = values.some(value =>
+		isFunc(value, 'E') || (isFunc(value, '=') && !(value.args[0] instanceof Ident)));
+
+	if (isDynamic) {
+		return;
+	}
+
+	const assigned = new Map();
+	const reads = [];
+
+	for (const [index, value] of values.entries()) {
+		if (!(value instanceof Ident)) {
+			continue;
+		}
+
+		// `values` is in source order, so an identifier directly after `=` is what it assigns.
+		const previous = values[index - 1];
+
+		if (isFunc(previous, '=') && previous.args[0] === value) {
+			if (!assigned.has(value.name)) {
+				assigned.set(value.name, value);
+			}
+		} else {
+			reads.push(value);
+		}
+	}
+
+	const read = new Set(reads.map(ident => ident.name));
+
+	for (const ident of reads) {
+		if (!assigned.has(ident.name)) {
+			warn('undefined-variable', `'${ident.name}' is read, but never assigned`, ident.span);
+		}
+	}
+
+	for (const [name, ident] of assigned) {
+		if (!read.has(name)) {
+			warn('unused-variable', `'${name}' is assigned, but never read`, ident.span);
+		}
+	}
+}
+
+/**
+ * Finds problems with the function `func`.
+ *
+ * @private
+ * @param {Func} func The function to check.
+ * @param {function(string, string, Span)} warn Called with each problem that's found.
+ */
+function checkFunc(func, warn) {
+	const [condition, ...branches] = func.args;
+
+	switch (func.name) {
+	case '=':
+		if (!(condition instanceof Ident)) {
+			warn('non-identifier-assignment', "the first argument of '=' isn't an identifier", condition.span);
+		}
+		break;
+
+	case 'W':
+		// Blocks that are called, and code that's evaluated, might quit too.
+		if (condition instanceof Literal && condition.toBoolean()
+				&& !walk(func).some(value => isFunc(value, 'Q') || isFunc(value, 'C') || isFunc(value, 'E'))) {
+			warn('infinite-loop', "the condition of 'W' is always true, and it has no 'Q', so it never ends",
+				func.span);
+		}
+		break;
+
+	case 'I':
+		if (condition instanceof Literal) {
+			const isTrue = condition.toBoolean();
+
+			warn('dead-branch', `this branch of 'I' never runs, as its condition is always ${isTrue}`,
+				branches[isTrue ? 1 : 0].span);
+		}
+		break;
+	}
+}
+
+/**
+ * Checks `source` for likely mistakes, without running it.
+ *
+ * The rules that are checked are described by `RULES`; all of them are checked unless turned off
+ * with `rules`, eg `{ 'unused-variable': false }`.
+ *
+ * @param {string} source The code to check.
+ * @param {Object} [options]
+ * @param {string} [options.filename] The name of the file `source` came from; used in warnings.
+ * @param {Interpreter} [options.interpreter] The interpreter whose functions are used to parse
+ *                                            `source`; defaults to one with only the builtins.
+ * @param {Object.<string, boolean>} [options.rules] Whether to check each rule.
+ * @return {Array<Warning>} The problems that were found, in the order they appear in `source`.
+ * @throws {ParseError} Thrown if `source` isn't valid Knight code.
+ * @throws {Error} Thrown if `rules` has a rule that doesn't exist.
+ */
+export function lint(source, { filename, interpreter = new Interpreter(), rules = {} } = {}) {
+	for (const rule of Object.keys(rules)) {
+		if (!Object.hasOwn(RULES, rule)) {
+			throw new Error(`Unknown lint rule '${rule}'; expected one of ${Object.keys(RULES).join(', ')}.`);
+		}
+	}
+
+	const program = interpreter.parse(source, filename);
+	const values = walk(program);
+	const warnings = [];
+
+	const warn = (rule, message, span) => {
+		if (rules[rule] ?? true) {
+			warnings.push({ rule, message, span });
+		}
+	};
+
+	checkVariables(values, warn);
+
+	for (const value of values) {
+		if (value instanceof Func) {
+			checkFunc(value, warn);
+		}
+	}
+
+	return warnings.sort((a, b) => a.span.start.offset - b.span.start.offset);
+}
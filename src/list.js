@@ -1,13 +1,26 @@
-import { TYPES } from './value.js';
+import Value, { TYPES } from './value.js';
 import Literal from './literal.js';
 import Str from './str.js';
-import { RuntimeError } from './error.js';
+import { ParseError, RuntimeError } from './error.js';
+import { settings, checkListLength, checkRange, undefinedBehaviour } from './settings.js';
 
 /**
  * @typedef {import('./stream.js').Stream}
- * @typedef {import('./value.js')} Value
+ * @typedef {import('./interpreter.js').default} Interpreter
+ * @typedef {import('./value.js').ValueJSON} ValueJSON
  */
 
+/**
+ * The longest list that `*` creates when `settings.maxListLength` allows it.
+ *
+ * JavaScript arrays can have up to 2^32-1 elements, but V8 runs out of memory growing one to
+ * about 2^27, so this is kept well under that.
+ *
+ * @private
+ * @type {number}
+ */
+const MAX_ARRAY_LENGTH = 2 ** 26;
+
 /**
  * The list type within Knight.
  *
@@ -25,6 +38,30 @@ export default class List extends Literal {
 		return stream.match(/^@/) && new List([]);
 	}
 
+	/**
+	 * Recreates a `List` from `json`, if it's the JSON of one.
+	 *
+	 * Only empty lists can be parsed, but lists created while running can be converted to JSON too,
+	 * so their elements are recreated as well.
+	 *
+	 * @param {ValueJSON} json The JSON of the value.
+	 * @param {Interpreter} interpreter The interpreter that the elements are bound to.
+	 * @param {string?} source The source code that `json` was parsed from; see `Value.fromJSON`.
+	 * @return {List?} The `List`, or `null` if `json` isn't a list.
+	 * @throws {ParseError} Thrown if the value isn't an array of values.
+	 */
+	static fromJSON(json, interpreter, source) {
+		if (json.kind !== 'list') {
+			return null;
+		}
+
+		if (!Array.isArray(json.value)) {
+			throw new ParseError(`Invalid list: ${JSON.stringify(json.value)}`);
+		}
+
+		return new List(json.value.map(element => Value.fromJSON(element, interpreter, source)));
+	}
+
 	/**
 	 * Provides a debugging representation of this list.
 	 *
@@ -35,6 +72,15 @@ export default class List extends Literal {
 		return `[${this._data.map(val => val.dump()).join(', ')}]`
 	}
 
+	/**
+	 * Returns this list and its elements as JSON.
+	 *
+	 * @return {ValueJSON}
+	 */
+	toJSON() {
+		return { kind: 'list', value: this._data.map(val => val.toJSON()), span: this.span?.toJSON() ?? null };
+	}
+
 	/**
 	 * Returns the length of the List.
 	 * 
@@ -76,9 +122,13 @@ export default class List extends Literal {
 	 * 
 	 * @param {Value} rhs The second array; conveted to an array.
 	 * @returns {List} The concatenation of the two
+	 * @throws {RuntimeError} If the result would be longer than the maximum list length.
 	 */
 	add(rhs) {
-		return new List(this._data.concat(rhs.toArray()));
+		rhs = rhs.toArray();
+		checkListLength('+', this._data.length + rhs.length);
+
+		return new List(this._data.concat(rhs));
 	}
 
 	/**
@@ -86,13 +136,32 @@ export default class List extends Literal {
 	 * 
 	 * @param {Value} rhs The repetition count; conveted to an integer.
 	 * @returns {List} The repeated list.
+	 * @throws {RuntimeError} If `rhs` is negative, or the result would be longer than the maximum
+	 *                        list length (or than JavaScript engines can hold).
 	 */
 	mul(rhs) {
 		var acc = [];
 		var num = rhs.toNumber();
 
-		while (num--) {
-			acc = acc.concat(this._data);
+		if (settings.strict && num < 0) {
+			undefinedBehaviour(`'*' with a negative amount (${num})`);
+		}
+
+		if (num < 0) {
+			throw new RuntimeError(`'*' with a negative amount (${num})`);
+		}
+
+		const length = this._data.length * num;
+
+		checkListLength('*', length);
+
+		if (length > MAX_ARRAY_LENGTH) {
+			throw new RuntimeError(`'*' would create a list of length ${length}, which is too long`);
+		}
+
+		// Going by the length, rather than `num`, means that repeating an empty list is instant.
+		for (let i = 0; i < length; i++) {
+			acc.push(this._data[i % this._data.length]);
 		}
 
 		return new List(acc);
@@ -137,11 +206,17 @@ export default class List extends Literal {
 	 *
 	 * @param {Value} rhs The value against which to compare; converted to an array.
 	 * @return {int} a negative, zero, or positive integer.
+	 * @throws {RuntimeError} If strict, and elements being compared have different types.
 	 */
 	cmp(rhs) {
 		rhs = rhs.toArray();
 
 		for (var i = 0; i < Math.min(this._data.length, rhs.length); ++i) {
+			if (settings.strict && this._data[i].constructor !== rhs[i].constructor) {
+				undefinedBehaviour(
+					`comparing a list element ${this._data[i].dump()} with ${rhs[i].dump()}, which has a different type`);
+			}
+
 			const res = this._data[i].cmp(rhs[i]);
 			if (res !== 0) {
 				return res;
@@ -187,10 +262,13 @@ export default class List extends Literal {
 	 * @param {Value} start The start index; converted to an integer.
 	 * @param {Value} length The amount of elements; converted to an integer.
 	 * @returns {List} The sublist.
+	 * @throws {RuntimeError} If strict, and the range is negative or out of bounds.
 	 */
 	get(start, length) {
 		start = start.toNumber();
 		length = length.toNumber();
+		checkRange('G', start, length, this._data.length);
+
 		return new List(this._data.slice(start, start + length) || []);
 	}
 
@@ -204,9 +282,20 @@ export default class List extends Literal {
 	 * @param {Value} length The amount of elements; converted to an integer.
 	 * @param {Value} repl The replacement; converted to a list.
 	 * @returns {List} `this` with the replacement performed.
+	 * @throws {RuntimeError} If the result would be longer than the maximum list length, or if
+	 *                        strict and the range is negative or out of bounds.
 	 */
 	set(start, length, repl) {
-		return new List(this._data.toSpliced(start.toNumber(), length.toNumber(), ...repl.toArray()));
+		start = start.toNumber();
+		length = length.toNumber();
+		repl = repl.toArray();
+		checkRange('S', start, length, this._data.length);
+
+		// The amount of elements that are actually removed, as `toSpliced` clamps the range.
+		const removed = Math.max(0, Math.min(length, this._data.length - start));
+
+		checkListLength('S', this._data.length - removed + repl.length);
+		return new List(this._data.toSpliced(start, length, ...repl));
 	}
 }
 
@@ -1,4 +1,5 @@
 import Value from './value.js';
+import { settings } from './settings.js';
 
 /**
  * An abstract class that's used to indicate a type is a wrapper around a JavaScript built-in.
@@ -27,6 +28,15 @@ export default class Literal extends Value {
 		this._data = data;
 	}
 
+	/**
+	 * The name of this literal's type, which is the name of its class, eg `Int`.
+	 *
+	 * @return {string}
+	 */
+	get typeName() {
+		return this.constructor.name;
+	}
+
 	/**
 	 * Running a literal simply returns itself.
 	 *
@@ -54,6 +64,16 @@ export default class Literal extends Value {
 		return Number(this._data);
 	}
 
+	/**
+	 * Converts this class's `_data` to an integer, which is a `BigInt` if `settings.bigint` is
+	 * enabled.
+	 *
+	 * @return {number|bigint}
+	 */
+	toInteger() {
+		return settings.bigint ? BigInt(this.toNumber()) : this.toNumber();
+	}
+
 	/**
 	 * Converts this class's `_data` to a JavaScript `boolean`.
 	 *
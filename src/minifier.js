@@ -0,0 +1,190 @@
+import Value from './value.js';
+import Func from './func.js';
+import Ident from './ident.js';
+import Int from './int.js';
+import Stream from './stream.js';
+import Interpreter from './interpreter.js';
+import { ParseError } from './error.js';
+
+/**
+ * The characters that identifiers can start with, in the order that renamed identifiers use them.
+ *
+ * @private
+ * @type {string}
+ */
+const IDENT_START = 'abcdefghijklmnopqrstuvwxyz_';
+
+/**
+ * The characters that identifiers can contain after their first.
+ *
+ * @private
+ * @type {string}
+ */
+const IDENT_REST = IDENT_START + '0123456789';
+
+/**
+ * Returns every value in `value`, in the order they appear in the source code.
+ *
+ * @private
+ * @param {Value} value The value to walk.
+ * @return {Array<Value>}
+ */
+function walk(value) {
+	return value instanceof Func ? [value, ...value.args.flatMap(walk)] : [value];
+}
+
+/**
+ * Returns the `index`th shortest identifier, eg `a` for `0` and `aa` for `27`.
+ *
+ * @private
+ * @param {number} index Which identifier to return.
+ * @return {string}
+ */
+function shortIdent(index) {
+	let length = 1;
+	let count = IDENT_START.length;
+
+	while (index >= count) {
+		index -= count;
+		count *= IDENT_REST.length;
+		length++;
+	}
+
+	let ident = '';
+
+	for (let i = 1; i < length; i++) {
+		ident = IDENT_REST[index % IDENT_REST.length] + ident;
+		index = Math.floor(index / IDENT_REST.length);
+	}
+
+	return IDENT_START[index] + ident;
+}
+
+/**
+ * Returns new names for each identifier in `values`, where the most used identifiers get the
+ * shortest names.
+ *
+ * @private
+ * @param {Array<Value>} values Every value in the program.
+ * @return {Map<string, string>}
+ * @throws {Error} Thrown if the program uses `E`, or assigns to something other than an identifier,
+ *                 as identifiers could then be referred to by strings.
+ */
+function newNames(values) {
+	const counts = new Map();
+
+	for (const value of values) {
+		const isDynamic = value instanceof Func
+			&& (value.name === 'E' || (value.name === '=' && !(value.args[0] instanceof Ident)));
+
+		if (isDynamic) {
+			throw new Error("Identifiers can't be renamed in programs that use E, or assign to non-identifiers.");
+		}
+
+		if (value instanceof Ident) {
+			counts.set(value.name, (counts.get(value.name) ?? 0) + 1);
+		}
+	}
+
+	const idents = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+
+	return new Map(idents.map((ident, index) => [ident, shortIdent(index)]));
+}
+
+/**
+ * Returns the shortest way to write `value`, without its arguments if it's a function.
+ *
+ * @private
+ * @param {Value} value The value to write.
+ * @param {Map<string, string>} names The new names of identifiers.
+ * @return {string}
+ */
+function token(value, names) {
+	if (value instanceof Func) {
+		return value.name;
+	}
+
+	if (value instanceof Ident) {
+		return names.get(value.name) ?? value.name;
+	}
+
+	const text = value.span.text();
+
+	// Integers don't need their leading zeroes, and `TRUE`, `FALSE`, and `NULL` only need their
+	// first letter.
+	if (value instanceof Int) {
+		return text.replace(/^0+(?=\d)/, '');
+	}
+
+	return /^[A-Z]/.test(text) ? text[0] : text;
+}
+
+/**
+ * Returns whether `next` would be parsed as part of `previous` if there wasn't a space between
+ * them.
+ *
+ * Identifiers continue while there are lowercase letters, digits, or underscores, integers while
+ * there are digits, and word functions while there are uppercase letters. An underscore after a
+ * word function therefore starts an identifier, as in `O_a`.
+ *
+ * @private
+ * @param {string} previous The token before `next`.
+ * @param {string} next The token after `previous`.
+ * @return {boolean}
+ */
+function needsSpace(previous, next) {
+	if (/^\d/.test(previous)) {
+		return /^\d/.test(next);
+	}
+
+	if (/^[a-z_]/.test(previous)) {
+		return /^[a-z0-9_]/.test(next);
+	}
+
+	return /^[A-Z]/.test(previous) && /^[A-Z]/.test(next);
+}
+
+/**
+ * Minifies `source`, returning the shortest Knight code that does the same thing.
+ *
+ * Comments, whitespace, `(`, `)`, and `:` are removed, except for the spaces needed to separate
+ * tokens; word functions (eg `OUTPUT`), `TRUE`, `FALSE`, and `NULL` are written as just their first
+ * letter; and leading zeroes are removed from integers. Anything after the program, which Knight
+ * ignores, is removed too.
+ *
+ * With `rename`, identifiers are also renamed to the shortest names possible, with the most used
+ * ones getting the shortest. This isn't done for programs that use `E`, or assign to something
+ * other than an identifier, as those could refer to identifiers by their names.
+ *
+ * @param {string} source The code to minify.
+ * @param {Object} [options]
+ * @param {string} [options.filename] The name of the file `source` came from; used in errors.
+ * @param {Interpreter} [options.interpreter] The interpreter whose functions are used to parse
+ *                                            `source`; defaults to one with only the builtins.
+ * @param {boolean} [options.rename] Whether to rename identifiers.
+ * @return {string} The minified code.
+ * @throws {ParseError} Thrown if `source` isn't valid Knight code.
+ * @throws {Error} Thrown if `rename` is given, but identifiers can't be renamed.
+ */
+export function minify(source, { filename, interpreter = new Interpreter(), rename = false } = {}) {
+	const stream = new Stream(source.toString(), filename);
+	const program = Value.parse(stream, interpreter);
+
+	if (program === null) {
+		throw new ParseError('No value could be parsed!', stream.spanFrom(stream.position()));
+	}
+
+	const values = walk(program);
+	const names = rename ? newNames(values) : new Map();
+	let minified = '';
+	let previous = '';
+
+	for (const value of values) {
+		const next = token(value, names);
+
+		minified += needsSpace(previous, next) ? ` ${next}` : next;
+		previous = next;
+	}
+
+	return minified;
+}
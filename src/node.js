@@ -0,0 +1,114 @@
+import { readSync } from 'fs';
+import { execSync } from 'child_process';
+
+import BaseInterpreter from './interpreter.js';
+
+/**
+ * @typedef {import('./value.js').default} Value
+ */
+
+// Everything from the platform-neutral entry point is available here too, except that `Interpreter`
+// is replaced by the one below.
+export * from './knight.js';
+
+/**
+ * The default host, which uses the stdin, stdout, shell, and exit of the current Node process.
+ *
+ * @implements {import('./host.js').Host}
+ */
+export class NodeHost {
+	/**
+	 * Reads a line from stdin, without the trailing newline.
+	 *
+	 * @return {string?} The line, or `null` if stdin is at its end.
+	 */
+	readLine() {
+		let line = '';
+		let buf = Buffer.alloc(1);
+
+		do {
+			if (!readSync(0, buf, 0, 1)) {
+				if (!line.length) return null;
+				break;
+			}
+
+			if (buf[0] == 0x00) {
+				break;
+			}
+
+			line += buf;
+		} while (buf[0] != 0x0a);
+
+		return line.replace(/\r*\n?$/, '');
+	}
+
+	/**
+	 * Writes `string` to stdout.
+	 *
+	 * @param {string} string The string to write.
+	 */
+	write(string) {
+		process.stdout.write(string);
+	}
+
+	/**
+	 * Runs `command` as a shell command.
+	 *
+	 * @param {string} command The command to run.
+	 * @return {string} The stdout of `command`.
+	 */
+	shell(command) {
+		return execSync(command).toString();
+	}
+
+	/**
+	 * Exits the process with the given status code.
+	 *
+	 * @param {number} status The status code to exit with.
+	 */
+	exit(status) {
+		process.exit(status);
+	}
+}
+
+/**
+ * An `Interpreter` whose host defaults to a `NodeHost`, rather than a `ConsoleHost`.
+ *
+ * This is what `import { Interpreter } from 'knight'` gives in Node, so that Knight programs use the
+ * current process's I/O unless told otherwise.
+ */
+export class Interpreter extends BaseInterpreter {
+	/**
+	 * Creates a new `Interpreter`.
+	 *
+	 * @param {Object} [options] The same options as the platform-neutral `Interpreter` takes.
+	 * @param {import('./host.js').Host} [options.host] The host to use for I/O; defaults to a
+	 *                                                  `NodeHost`.
+	 */
+	constructor({ host = new NodeHost(), ...options } = {}) {
+		super({ host, ...options });
+	}
+}
+
+/**
+ * The interpreter used by `run`; it's created the first time `run` is called.
+ *
+ * @private
+ * @type {Interpreter?}
+ */
+let defaultInterpreter = null;
+
+/**
+ * Parses and executes the input as Knight code, using a default `Interpreter` with a `NodeHost`.
+ *
+ * Since the same interpreter is used each time, variables persist between calls.
+ *
+ * @param {string} input The string to parse and execute.
+ * @param {string} [filename] The name of the file `input` came from; used in error messages.
+ * @return {Value} The result of executing the code.
+ */
+export function run(input, filename) {
+	defaultInterpreter ??= new Interpreter();
+
+	return defaultInterpreter.run(input, filename);
+}
@@ -1,10 +1,10 @@
 import { TYPES } from './value.js';
 import Literal from './literal.js';
-import { RuntimeError } from './error.js';
 
 /**
  * @typedef {import('./stream.js')} Stream
  * @typedef {import('./value.js')} Value
+ * @typedef {import('./value.js').ValueJSON} ValueJSON
  */
 
 /**
@@ -24,6 +24,16 @@ export default class Null extends Literal {
 		return stream.match(/^N[A-Z]*/) && new Null();
 	}
 
+	/**
+	 * Recreates a `Null` from `json`, if it's the JSON of one.
+	 *
+	 * @param {ValueJSON} json The JSON of the value.
+	 * @return {Null?} The `Null`, or `null` if `json` isn't null.
+	 */
+	static fromJSON(json) {
+		return json.kind === 'null' ? new Null() : null;
+	}
+
 	/** Creates a new `Null`. */
 	constructor(){
 		super(null);
@@ -38,6 +48,15 @@ export default class Null extends Literal {
 		return 'null';
 	}
 
+	/**
+	 * Returns `Null` as JSON.
+	 *
+	 * @return {ValueJSON}
+	 */
+	toJSON() {
+		return { kind: 'null', value: null, span: this.span?.toJSON() ?? null };
+	}
+
 	/**
 	 * Returns an empty string, as per the Knight specs.
 	 * 
@@ -55,16 +74,6 @@ export default class Null extends Literal {
 	toArray() {
 		return [];
 	}
-
-	/**
-	 * Comparisons with `Null` are invalid, and this always fails.
-	 *
-	 * @param {Value} _rhs Ignored.
-	 * @throws {RuntimeError} This is always thrown.
-	 */
-	cmp(_rhs) {
-		throw new RuntimeError("Cannot compare Null.");
-	}
 }
 
 // Add the `Null` class to the list of known types, so it can be parsed.
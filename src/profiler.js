@@ -0,0 +1,421 @@
+/**
+ * @typedef {import('./func.js').default} Func
+ * @typedef {import('./ident.js').default} Ident
+ */
+
+/**
+ * How much time was spent running functions, either those at one location or with one name.
+ *
+ * Times are in milliseconds. `total` includes the time spent in functions run by these ones, but
+ * only counts the outermost of recursive calls, so that it's never more than the program took.
+ *
+ * @typedef {Object} FunctionStats
+ * @property {string} name The name of the function, as used in call traces (eg `C foo`).
+ * @property {string?} location Where the function is, or `null` when grouped by name.
+ * @property {number} calls How many times the functions were run.
+ * @property {number} total How long the functions took, including the functions they ran.
+ * @property {number} self How long the functions took, excluding the functions they ran.
+ */
+
+/**
+ * How often an identifier was used.
+ *
+ * @typedef {Object} IdentStats
+ * @property {string} name The name of the identifier.
+ * @property {number} reads How many times it was read.
+ * @property {number} writes How many times it was assigned.
+ */
+
+/**
+ * A node in the call tree, which is every distinct path of functions that ran.
+ *
+ * @private
+ * @typedef {Object} CallNode
+ * @property {number} id A unique ID, starting at `1` for the root.
+ * @property {string} name The name of the function.
+ * @property {import('./span.js').default?} span Where the function is.
+ * @property {number} self How long was spent in this node, excluding its children.
+ * @property {Map<string, CallNode>} children The functions run by this one, keyed by location.
+ */
+
+/**
+ * A function that's currently running.
+ *
+ * @private
+ * @typedef {Object} Frame
+ * @property {Func} func The function.
+ * @property {number} start When it started.
+ * @property {number} childTime How long has been spent in the functions it has run.
+ * @property {CallNode} node Its node in the call tree.
+ * @property {Array<FunctionStats & { active: number }>} stats Its stats by location and by name.
+ */
+
+/**
+ * Returns an empty `FunctionStats`, along with how many calls to it are running.
+ *
+ * @private
+ * @param {string} name The name of the function.
+ * @param {string?} location Where the function is.
+ * @return {FunctionStats & { active: number }}
+ */
+function newStats(name, location) {
+	return { name, location, calls: 0, total: 0, self: 0, active: 0 };
+}
+
+/**
+ * Returns `stats` without its `active` count, sorted by time and then by calls.
+ *
+ * @private
+ * @param {Iterable<FunctionStats & { active: number }>} stats The stats to sort.
+ * @return {Array<FunctionStats>}
+ */
+function sorted(stats) {
+	return Array.from(stats, ({ active, ...rest }) => rest)
+		.sort((a, b) => b.total - a.total || b.self - a.self || b.calls - a.calls);
+}
+
+/**
+ * Returns `milliseconds` formatted for a report.
+ *
+ * @private
+ * @param {number} milliseconds The time to format.
+ * @return {string}
+ */
+function ms(milliseconds) {
+	return milliseconds.toFixed(3);
+}
+
+/**
+ * Measures how often each function is run and how long it takes, and how often each identifier is
+ * read and assigned.
+ *
+ * When an `Interpreter` is given a profiler, each `Func` calls `enter` before it runs and `leave`
+ * afterwards, and each `Ident` calls `read` or `write` when it's used. Functions are grouped both
+ * by where they are in the source code and by their name. The results are available as a text
+ * `report`, as JSON via `toJSON`, or as a Chrome DevTools `.cpuprofile` via `toCpuProfile`.
+ *
+ * Only the tree-walking interpreter supports profilers, as neither the VM nor transpiled
+ * JavaScript runs `Func`s directly.
+ */
+export default class Profiler {
+	/**
+	 * Returns the current time in milliseconds.
+	 *
+	 * @type {function(): number}
+	 */
+	#now;
+
+	/**
+	 * The stats of every function that was run, keyed by its name and location.
+	 *
+	 * @type {Map<string, FunctionStats & { active: number }>}
+	 */
+	#functions = new Map();
+
+	/**
+	 * The stats of every function that was run, keyed by its name.
+	 *
+	 * @type {Map<string, FunctionStats & { active: number }>}
+	 */
+	#names = new Map();
+
+	/**
+	 * The stats of every identifier that was used, keyed by its name.
+	 *
+	 * @type {Map<string, IdentStats>}
+	 */
+	#identifiers = new Map();
+
+	/**
+	 * The functions that are currently running, innermost last.
+	 *
+	 * @type {Array<Frame>}
+	 */
+	#stack = [];
+
+	/**
+	 * The root of the call tree.
+	 *
+	 * @type {CallNode}
+	 */
+	#root = { id: 1, name: '(root)', span: null, self: 0, children: new Map() };
+
+	/**
+	 * How many nodes are in the call tree.
+	 *
+	 * @type {number}
+	 */
+	#nodes = 1;
+
+	/**
+	 * When the first function was entered, or `null` if none has been.
+	 *
+	 * @type {number?}
+	 */
+	#startTime = null;
+
+	/**
+	 * When the last function was left.
+	 *
+	 * @type {number}
+	 */
+	#endTime = 0;
+
+	/**
+	 * Creates a new `Profiler`.
+	 *
+	 * @param {Object} [options]
+	 * @param {function(): number} [options.now] Returns the current time in milliseconds; defaults
+	 *                                           to `performance.now`.
+	 */
+	constructor({ now = () => performance.now() } = {}) {
+		this.#now = now;
+	}
+
+	/**
+	 * Called before `func` is run, to start timing it.
+	 *
+	 * @param {Func} func The function that's about to run.
+	 */
+	enter(func) {
+		const name = func.traceName();
+		const location = func.span === null ? null : String(func.span);
+		const key = `${name} ${location}`;
+		const parent = this.#stack.at(-1)?.node ?? this.#root;
+
+		let node = parent.children.get(key);
+
+		if (node === undefined) {
+			node = { id: ++this.#nodes, name, span: func.span, self: 0, children: new Map() };
+			parent.children.set(key, node);
+		}
+
+		const stats = [
+			this.#stats(this.#functions, key, name, location),
+			this.#stats(this.#names, func.name, func.name, null),
+		];
+
+		for (const entry of stats) {
+			entry.calls++;
+			entry.active++;
+		}
+
+		const start = this.#now();
+
+		this.#startTime ??= start;
+		this.#stack.push({ func, start, childTime: 0, node, stats });
+	}
+
+	/**
+	 * Called after `func` has run, whether or not it succeeded, to stop timing it.
+	 *
+	 * @param {Func} func The function that was run.
+	 */
+	leave(func) {
+		if (this.#stack.at(-1)?.func !== func) {
+			return;
+		}
+
+		const end = this.#now();
+		const { start, childTime, node, stats } = this.#stack.pop();
+		const elapsed = end - start;
+		const self = elapsed - childTime;
+
+		for (const entry of stats) {
+			entry.self += self;
+
+			// Only the outermost of recursive calls counts, so time isn't counted more than once.
+			if (--entry.active === 0) {
+				entry.total += elapsed;
+			}
+		}
+
+		node.self += self;
+		this.#endTime = end;
+
+		if (this.#stack.length !== 0) {
+			this.#stack.at(-1).childTime += elapsed;
+		}
+	}
+
+	/**
+	 * Called before `ident` is read.
+	 *
+	 * @param {Ident} ident The identifier that's read.
+	 */
+	read(ident) {
+		this.#identifier(ident.name).reads++;
+	}
+
+	/**
+	 * Called before `ident` is assigned.
+	 *
+	 * @param {Ident} ident The identifier that's assigned.
+	 */
+	write(ident) {
+		this.#identifier(ident.name).writes++;
+	}
+
+	/**
+	 * Stops timing every function that's still running, eg because the program exited with `Q`.
+	 */
+	stop() {
+		while (this.#stack.length !== 0) {
+			this.leave(this.#stack.at(-1).func);
+		}
+	}
+
+	/**
+	 * Returns the stats of each function location, sorted by how long they took.
+	 *
+	 * @return {Array<FunctionStats>}
+	 */
+	functions() {
+		return sorted(this.#functions.values());
+	}
+
+	/**
+	 * Returns the stats of each function name, sorted by how long they took.
+	 *
+	 * @return {Array<FunctionStats>}
+	 */
+	names() {
+		return sorted(this.#names.values());
+	}
+
+	/**
+	 * Returns the stats of each identifier, sorted by how often they were used.
+	 *
+	 * @return {Array<IdentStats>}
+	 */
+	identifiers() {
+		return Array.from(this.#identifiers.values(), stats => ({ ...stats }))
+			.sort((a, b) => (b.reads + b.writes) - (a.reads + a.writes) || a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Returns a human-readable report of everything that was measured.
+	 *
+	 * @return {string}
+	 */
+	report() {
+		const lines = ['Functions by location:', '    calls    total ms     self ms  function'];
+
+		for (const { name, location, calls, total, self } of this.functions()) {
+			lines.push(`${String(calls).padStart(9)} ${ms(total).padStart(11)} ${ms(self).padStart(11)}  `
+				+ `${name} (${location ?? 'unknown'})`);
+		}
+
+		lines.push('', 'Functions by name:', '    calls    total ms     self ms  function');
+
+		for (const { name, calls, total, self } of this.names()) {
+			lines.push(`${String(calls).padStart(9)} ${ms(total).padStart(11)} ${ms(self).padStart(11)}  ${name}`);
+		}
+
+		lines.push('', 'Identifiers:', '    reads   writes  identifier');
+
+		for (const { name, reads, writes } of this.identifiers()) {
+			lines.push(`${String(reads).padStart(9)}${String(writes).padStart(9)}  ${name}`);
+		}
+
+		return lines.join('\n') + '\n';
+	}
+
+	/**
+	 * Returns everything that was measured, for `JSON.stringify`.
+	 *
+	 * @return {{ functions: Array<FunctionStats>, names: Array<FunctionStats>, identifiers: Array<IdentStats> }}
+	 */
+	toJSON() {
+		return { functions: this.functions(), names: this.names(), identifiers: this.identifiers() };
+	}
+
+	/**
+	 * Returns the call tree in the `.cpuprofile` format used by Chrome DevTools (and other tools).
+	 *
+	 * Since functions aren't sampled, each node of the call tree gets exactly one sample, whose
+	 * duration is the time spent in that node. So the totals are exact, but the timeline merges
+	 * every call made via the same path.
+	 *
+	 * @return {Object}
+	 */
+	toCpuProfile() {
+		const nodes = [];
+		const samples = [];
+		const timeDeltas = [];
+		const pending = [this.#root];
+
+		for (let index = 0; index < pending.length; index++) {
+			const node = pending[index];
+			const children = Array.from(node.children.values());
+
+			nodes.push({
+				id: node.id,
+				callFrame: {
+					functionName: node.name,
+					scriptId: '0',
+					url: node.span?.filename ?? '',
+					// `.cpuprofile`s count lines and columns from zero.
+					lineNumber: (node.span?.start.line ?? 0) - 1,
+					columnNumber: (node.span?.start.column ?? 0) - 1,
+				},
+				hitCount: node === this.#root ? 0 : 1,
+				children: children.map(child => child.id),
+			});
+
+			if (node !== this.#root) {
+				samples.push(node.id);
+				timeDeltas.push(Math.round(node.self * 1000));
+			}
+
+			pending.push(...children);
+		}
+
+		const startTime = Math.round((this.#startTime ?? 0) * 1000);
+
+		return {
+			nodes,
+			startTime,
+			endTime: Math.max(startTime, Math.round(this.#endTime * 1000)),
+			samples,
+			timeDeltas,
+		};
+	}
+
+	/**
+	 * Returns the stats in `map` under `key`, creating them if they don't exist.
+	 *
+	 * @param {Map<string, FunctionStats & { active: number }>} map Either `#functions` or `#names`.
+	 * @param {string} key The key of the stats.
+	 * @param {string} name The name of the function.
+	 * @param {string?} location Where the function is, or `null` when grouped by name.
+	 * @return {FunctionStats & { active: number }}
+	 */
+	#stats(map, key, name, location) {
+		let stats = map.get(key);
+
+		if (stats === undefined) {
+			stats = newStats(name, location);
+			map.set(key, stats);
+		}
+
+		return stats;
+	}
+
+	/**
+	 * Returns the stats of the identifier `name`, creating them if they don't exist.
+	 *
+	 * @param {string} name The name of the identifier.
+	 * @return {IdentStats}
+	 */
+	#identifier(name) {
+		let stats = this.#identifiers.get(name);
+
+		if (stats === undefined) {
+			stats = { name, reads: 0, writes: 0 };
+			this.#identifiers.set(name, stats);
+		}
+
+		return stats;
+	}
+}
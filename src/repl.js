@@ -0,0 +1,229 @@
+import { createInterface } from 'readline';
+import { readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+import Interpreter from './interpreter.js';
+import Stream from './stream.js';
+import { KnightError, IncompleteParseError } from './error.js';
+import { NodeHost } from './node.js';
+
+/**
+ * Where the REPL's history is saved between sessions.
+ *
+ * @private
+ * @type {string}
+ */
+const HISTORY_FILE = join(homedir(), '.knight_history');
+
+/**
+ * The maximum amount of lines kept in the history.
+ *
+ * @private
+ * @type {number}
+ */
+const HISTORY_SIZE = 1000;
+
+/**
+ * The commands that can be entered instead of Knight code, along with their descriptions.
+ *
+ * Note that these must be the first thing on a line, as `:` is otherwise whitespace in Knight.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+const COMMANDS = {
+	':vars': 'list every assigned variable',
+	':reset': 'unassign every variable',
+	':load <file>': 'run a file',
+	':help': 'show this message',
+	':quit': 'exit the REPL',
+};
+
+/**
+ * Returns whether `source` contains any code, ie isn't entirely whitespace and comments.
+ *
+ * @private
+ * @param {string} source The source to check.
+ * @return {boolean}
+ */
+function hasCode(source) {
+	const stream = new Stream(source);
+
+	stream.stripWhitespace();
+
+	return stream.peek() !== null;
+}
+
+/**
+ * Reads the history from previous sessions, ignoring any errors.
+ *
+ * @private
+ * @return {Array<string>} The history, most recent first.
+ */
+function loadHistory() {
+	try {
+		return readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean).reverse();
+	} catch {
+		return [];
+	}
+}
+
+/**
+ * Saves `history` for future sessions, ignoring any errors.
+ *
+ * @private
+ * @param {Array<string>} history The history, most recent first.
+ */
+function saveHistory(history) {
+	try {
+		writeFileSync(HISTORY_FILE, history.slice().reverse().join('\n') + '\n');
+	} catch {
+		// It's not worth interrupting the user over.
+	}
+}
+
+/**
+ * Prints `error` to stderr, using the Knight error report if it's a `KnightError`.
+ *
+ * @private
+ * @param {Error} error The error to print.
+ */
+function report(error) {
+	console.error(error instanceof KnightError ? error.report() : error);
+}
+
+/**
+ * Starts an interactive session that reads Knight code from stdin and prints each result.
+ *
+ * All code is run against the same interpreter, so variables remain assigned between inputs. If
+ * an input is incomplete (eg `+ 1`), more lines are read until it's complete.
+ *
+ * @param {Interpreter} [interpreter] The interpreter to run code with.
+ */
+export default function repl(interpreter=new Interpreter({ host: new NodeHost() })) {
+	const rl = createInterface({
+		input: process.stdin,
+		output: process.stdout,
+		history: loadHistory(),
+		historySize: HISTORY_SIZE,
+	});
+
+	// The input so far, if it's spread across multiple lines.
+	let buffer = '';
+
+	/**
+	 * Runs the REPL command `line`.
+	 *
+	 * @param {string} line The line containing the command.
+	 * @return {boolean} Whether `line` was a command.
+	 */
+	function command(line) {
+		const [name, ...args] = line.trim().split(/\s+/);
+
+		switch (name) {
+		case ':vars':
+			for (const [ident, value] of interpreter.variables) {
+				console.log(`${ident} = ${value.dump()}`);
+			}
+			return true;
+
+		case ':reset':
+			interpreter.variables.clear();
+			return true;
+
+		case ':load':
+			if (args.length === 0) {
+				console.error('usage: :load <file>');
+			} else {
+				const file = args.join(' ');
+				let source;
+
+				try {
+					source = readFileSync(file, 'utf8');
+				} catch (error) {
+					console.error(`unable to load ${file}: ${error.message}`);
+					return true;
+				}
+
+				try {
+					console.log(interpreter.run(source, file).dump());
+				} catch (error) {
+					report(error);
+				}
+			}
+			return true;
+
+		case ':help':
+			for (const [usage, description] of Object.entries(COMMANDS)) {
+				console.log(`${usage.padEnd(14)} ${description}`);
+			}
+			return true;
+
+		case ':quit':
+			rl.close();
+			return true;
+
+		default:
+			return false;
+		}
+	}
+
+	rl.on('line', line => {
+		if (buffer === '' && command(line)) {
+			rl.setPrompt('> ');
+			rl.prompt();
+			return;
+		}
+
+		buffer += line + '\n';
+
+		if (!hasCode(buffer)) {
+			buffer = '';
+		} else {
+			let value = null;
+
+			try {
+				value = interpreter.parse(buffer, '<repl>');
+			} catch (error) {
+				// If the input's incomplete, keep it around and read another line. This is only done for
+				// parsing, as running `E` can also fail with an `IncompleteParseError`.
+				if (!(error instanceof IncompleteParseError)) {
+					buffer = '';
+					report(error);
+				}
+			}
+
+			if (value !== null) {
+				buffer = '';
+
+				try {
+					console.log(interpreter.run(value).dump());
+				} catch (error) {
+					report(error);
+				}
+			}
+		}
+
+		rl.setPrompt(buffer === '' ? '> ' : '... ');
+		rl.prompt();
+	});
+
+	// Ctrl-C discards the current input, or exits if there is none.
+	rl.on('SIGINT', () => {
+		if (buffer === '') {
+			rl.close();
+			return;
+		}
+
+		buffer = '';
+		process.stdout.write('\n');
+		rl.setPrompt('> ');
+		rl.prompt();
+	});
+
+	rl.on('close', () => saveHistory(rl.history));
+
+	rl.setPrompt('> ');
+	rl.prompt();
+}
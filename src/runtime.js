@@ -0,0 +1,174 @@
+/**
+ * The functions and classes used by JavaScript that's generated by `transpile`.
+ *
+ * Everything here mirrors what the builtins in `func.js` do, except that the arguments have
+ * already been evaluated.
+ */
+
+import Value from './value.js';
+import Null from './null.js';
+import Str from './str.js';
+import { RuntimeError } from './error.js';
+
+/**
+ * @typedef {import('./host.js').Host} Host
+ * @typedef {import('./interpreter.js').default} Interpreter
+ */
+
+export { default as Bool } from './bool.js';
+export { default as Int } from './int.js';
+export { default as List } from './list.js';
+export { Null, Str };
+
+/**
+ * A block (ie the result of `B`) within generated code.
+ *
+ * Since all Knight variables are global, blocks are simply JavaScript functions.
+ */
+export class Block extends Value {
+	/** @type {function(): Value} */
+	#body;
+
+	/** @type {string} */
+	#dump;
+
+	/**
+	 * Creates a new `Block`.
+	 *
+	 * @param {function(): Value} body The function to call when running `this`.
+	 * @param {string} dump The debugging representation of the original value.
+	 */
+	constructor(body, dump) {
+		super();
+
+		this.#body = body;
+		this.#dump = dump;
+	}
+
+	/**
+	 * Runs the body of the block.
+	 *
+	 * @return {Value}
+	 */
+	run() {
+		return this.#body();
+	}
+
+	/**
+	 * Returns the debugging representation of the value that was passed to `B`.
+	 *
+	 * @return {string}
+	 */
+	dump() {
+		return this.#dump;
+	}
+}
+
+/**
+ * Returns the value of the variable `name`, as per `Ident#run`.
+ *
+ * @param {Map<string, Value>} variables The variables of the interpreter.
+ * @param {string} name The name of the variable.
+ * @return {Value}
+ * @throws {RuntimeError} Thrown if the variable was never assigned to.
+ */
+export function lookup(variables, name) {
+	const value = variables.get(name);
+
+	if (value === undefined) {
+		unknown(name);
+	}
+
+	return value;
+}
+
+/**
+ * Assigns `value` to the variable `name`, as per `=`.
+ *
+ * @param {Map<string, Value>} variables The variables of the interpreter.
+ * @param {string} name The name of the variable.
+ * @param {Value} value The value to assign.
+ * @return {Value} `value`.
+ */
+export function assign(variables, name, value) {
+	variables.set(name, value);
+
+	return value;
+}
+
+/**
+ * Throws the error for an unassigned identifier.
+ *
+ * @param {string} name The name of the identifier.
+ * @throws {RuntimeError} This is always thrown.
+ */
+export function unknown(name) {
+	throw new RuntimeError(`Unknown identifier '${name}'`);
+}
+
+/**
+ * Throws the error for a function that's been denied, like the interpreter's `deny` option does.
+ *
+ * @param {string} name The name of the function.
+ * @throws {RuntimeError} This is always thrown.
+ */
+export function denied(name) {
+	throw new RuntimeError(`permission denied: ${name}`);
+}
+
+/**
+ * Reads a line from `host`, as per `P`.
+ *
+ * @param {Host} host The host to read from.
+ * @return {Str|Null}
+ */
+export function prompt(host) {
+	const line = host.readLine();
+
+	return line === null ? new Null() : new Str(line);
+}
+
+/**
+ * Writes `value` to `host`, as per `O`.
+ *
+ * @param {Host} host The host to write to.
+ * @param {Value} value The value to write.
+ * @return {Null}
+ */
+export function output(host, value) {
+	const str = value.toString();
+
+	if (str.substr(-1) === '\\') {
+		host.write(str.substr(0, str.length - 1));
+	} else {
+		host.write(`${str}\n`);
+	}
+
+	return new Null();
+}
+
+/**
+ * Writes the debugging representation of `value` to `host`, as per `D`.
+ *
+ * @param {Host} host The host to write to.
+ * @param {Value} value The value to dump.
+ * @return {Value} `value`.
+ */
+export function dump(host, value) {
+	host.write(value.dump());
+
+	return value;
+}
+
+/**
+ * Evaluates `value` as Knight code with `interpreter`, as per `E`.
+ *
+ * The code is run by walking the parsed tree, rather than being transpiled.
+ *
+ * @param {Interpreter} interpreter The interpreter whose variables the code uses.
+ * @param {Value} value The code to evaluate.
+ * @return {Value}
+ */
+export function evaluate(interpreter, value) {
+	return interpreter.parse(value.toString(), '<eval>').run();
+}
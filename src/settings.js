@@ -0,0 +1,188 @@
+import { RuntimeError } from './error.js';
+
+/**
+ * The settings that affect how values behave.
+ *
+ * Values aren't bound to an interpreter, so these are the settings of the `Interpreter` that's
+ * currently running code, or the defaults if none is.
+ *
+ * @typedef {Object} Settings
+ * @property {number} maxStringLength The longest string that can be created.
+ * @property {number} maxListLength The longest list that can be created.
+ * @property {boolean} strict Whether behaviour the Knight spec leaves undefined is an error.
+ * @property {boolean} bigint Whether `Int`s are `BigInt`s, rather than `number`s.
+ * @property {'float'|'wrap'|'check'} overflow What happens when an integer doesn't fit in
+ *                                             `intWidth` bits: nothing (so precision is lost
+ *                                             above 2^53 unless `bigint`), it wraps around, or it's
+ *                                             an error.
+ * @property {number} intWidth How many bits integers have, unless `overflow` is `float`. When it's
+ *                             more than 32, `bigint` must be enabled.
+ */
+
+/**
+ * The settings that are currently in use.
+ *
+ * @type {Settings}
+ */
+export const settings = {
+	maxStringLength: Infinity,
+	maxListLength: Infinity,
+	strict: false,
+	bigint: false,
+	overflow: 'float',
+	intWidth: 32,
+};
+
+/**
+ * The values that `settings.overflow` can be.
+ *
+ * @type {Array<string>}
+ */
+export const OVERFLOW_POLICIES = ['float', 'wrap', 'check'];
+
+/**
+ * The values that `settings.intWidth` can be.
+ *
+ * @type {Array<number>}
+ */
+export const INT_WIDTHS = [32, 64];
+
+/**
+ * The smallest integer that's defined by the Knight spec.
+ *
+ * @type {number}
+ */
+export const INT_MIN = -(2 ** 31);
+
+/**
+ * The largest integer that's defined by the Knight spec.
+ *
+ * @type {number}
+ */
+export const INT_MAX = 2 ** 31 - 1;
+
+/**
+ * Calls `callback` with `overrides` replacing the current settings, restoring them afterwards.
+ *
+ * @template T
+ * @param {Settings} overrides The settings to use.
+ * @param {function(): T} callback The function to call.
+ * @return {T} The return value of `callback`.
+ */
+export function withSettings(overrides, callback) {
+	const previous = { ...settings };
+
+	Object.assign(settings, overrides);
+
+	try {
+		return callback();
+	} finally {
+		Object.assign(settings, previous);
+	}
+}
+
+/**
+ * Ensures that a string of `length` characters can be created.
+ *
+ * @param {string} operation The name of the function that's creating the string.
+ * @param {number} length The length of the string.
+ * @throws {RuntimeError} Thrown if `length` is more than `settings.maxStringLength`.
+ */
+export function checkStringLength(operation, length) {
+	if (length > settings.maxStringLength) {
+		throw new RuntimeError(
+			`'${operation}' would create a string of length ${length}, which is longer than the maximum of ${settings.maxStringLength}`);
+	}
+}
+
+/**
+ * Ensures that a list of `length` elements can be created.
+ *
+ * @param {string} operation The name of the function that's creating the list.
+ * @param {number} length The length of the list.
+ * @throws {RuntimeError} Thrown if `length` is more than `settings.maxListLength`.
+ */
+export function checkListLength(operation, length) {
+	if (length > settings.maxListLength) {
+		throw new RuntimeError(
+			`'${operation}' would create a list of length ${length}, which is longer than the maximum of ${settings.maxListLength}`);
+	}
+}
+
+/**
+ * Fails because something the Knight spec leaves undefined was done.
+ *
+ * This should only be called when `settings.strict` is enabled, as implementations are otherwise
+ * free to do whatever they want in these cases.
+ *
+ * @param {string} reason What was done.
+ * @throws {RuntimeError} This is always thrown.
+ */
+export function undefinedBehaviour(reason) {
+	throw new RuntimeError(`undefined behaviour: ${reason}`);
+}
+
+/**
+ * Returns `number` wrapped around to fit in `settings.intWidth` bits.
+ *
+ * @param {number|bigint} number The integer to wrap; if it's a `number`, the width must be 32.
+ * @return {number|bigint}
+ */
+export function wrapInt(number) {
+	return typeof number === 'bigint' ? BigInt.asIntN(settings.intWidth, number) : number | 0;
+}
+
+/**
+ * Applies `settings.overflow` to the result of `operation`.
+ *
+ * When `settings.strict` is enabled, results that don't fit in 32 bits are always an error, as the
+ * Knight spec leaves them undefined.
+ *
+ * @param {string} operation The name of the function that's creating the number.
+ * @param {number|bigint} number The exact result of `operation`.
+ * @return {number|bigint} `number`, wrapped around if `settings.overflow` is `wrap`.
+ * @throws {RuntimeError} Thrown if strict and `number` is outside of `INT_MIN` and `INT_MAX`, or if
+ *                        `settings.overflow` is `check` and it doesn't fit in `settings.intWidth`.
+ */
+export function checkInt(operation, number) {
+	if (settings.strict && (number < INT_MIN || INT_MAX < number)) {
+		undefinedBehaviour(`'${operation}' results in ${number}, which doesn't fit in 32 bits`);
+	}
+
+	if (settings.overflow === 'float') {
+		return number;
+	}
+
+	const wrapped = wrapInt(number);
+
+	if (settings.overflow === 'check' && wrapped !== number) {
+		throw new RuntimeError(
+			`integer overflow: '${operation}' results in ${number}, which doesn't fit in ${settings.intWidth} bits`);
+	}
+
+	return wrapped;
+}
+
+/**
+ * Ensures that `[start .. start + length)` is within a string or list of `size` elements, when
+ * `settings.strict` is enabled.
+ *
+ * @param {string} operation The name of the function that's using the range.
+ * @param {number} start The start of the range.
+ * @param {number} length The amount of elements in the range.
+ * @param {number} size The amount of elements in the string or list.
+ * @throws {RuntimeError} Thrown if strict and the range is negative or out of bounds.
+ */
+export function checkRange(operation, start, length, size) {
+	if (!settings.strict) {
+		return;
+	}
+
+	if (start < 0 || length < 0) {
+		undefinedBehaviour(`'${operation}' with a negative ${start < 0 ? 'start' : 'length'}`);
+	}
+
+	if (size < start + length) {
+		undefinedBehaviour(`'${operation}' with the range ${start}..${start + length}, which is past the end (${size})`);
+	}
+}
@@ -0,0 +1,149 @@
+import { ParseError } from './error.js';
+
+/**
+ * A position within Knight source code.
+ *
+ * @typedef {Object} Position
+ * @property {number} offset The amount of characters before this position.
+ * @property {number} line The line number, starting at `1`.
+ * @property {number} column The column number, starting at `1`.
+ */
+
+/**
+ * A span in JSON, as returned by `Span#toJSON`.
+ *
+ * @typedef {Object} SpanJSON
+ * @property {string} filename The name of the file the source code came from.
+ * @property {Position} start Where the span starts.
+ * @property {Position} end Where the span ends (exclusive).
+ */
+
+/**
+ * Returns whether `json` is a valid `Position` within `source`.
+ *
+ * The line and column must be the ones that `offset` is at, as `Stream` would count them.
+ *
+ * @private
+ * @param {*} json The JSON to check.
+ * @param {string} source The source code the position is in.
+ * @return {boolean}
+ */
+function isPosition(json, source) {
+	if (json === null || typeof json !== 'object' || !Number.isSafeInteger(json.offset)
+			|| json.offset < 0 || source.length < json.offset) {
+		return false;
+	}
+
+	const lines = source.substring(0, json.offset).split('\n');
+
+	return json.line === lines.length && json.column === lines[lines.length - 1].length + 1;
+}
+
+/**
+ * A region of Knight source code, used to report where values were parsed and errors occurred.
+ *
+ * @see Stream#spanFrom For how spans are created.
+ */
+export default class Span {
+	/**
+	 * The entire source code that this span is a part of.
+	 *
+	 * @type {string}
+	 */
+	source;
+
+	/**
+	 * The name of the file the source code came from.
+	 *
+	 * @type {string}
+	 */
+	filename;
+
+	/**
+	 * Where this span starts.
+	 *
+	 * @type {Position}
+	 */
+	start;
+
+	/**
+	 * Where this span ends (exclusive).
+	 *
+	 * @type {Position}
+	 */
+	end;
+
+	/**
+	 * Creates a new `Span` covering `[start, end)` of `source`.
+	 *
+	 * @param {string} source The entire source code.
+	 * @param {string} filename The name of the file `source` came from.
+	 * @param {Position} start The start of the span.
+	 * @param {Position} end The end of the span.
+	 */
+	constructor(source, filename, start, end) {
+		this.source = source;
+		this.filename = filename;
+		this.start = start;
+		this.end = end;
+	}
+
+	/**
+	 * Recreates the span that `json` was created from, by `toJSON`.
+	 *
+	 * @param {SpanJSON} json The JSON of the span.
+	 * @param {string} source The entire source code that the span is a part of.
+	 * @return {Span}
+	 * @throws {ParseError} Thrown if `json` isn't a valid span within `source`.
+	 */
+	static fromJSON(json, source) {
+		if (json === null || typeof json !== 'object' || typeof json.filename !== 'string'
+				|| !isPosition(json.start, source) || !isPosition(json.end, source)
+				|| json.end.offset < json.start.offset) {
+			throw new ParseError(`Invalid span: ${JSON.stringify(json)}`);
+		}
+
+		return new Span(source, json.filename, { ...json.start }, { ...json.end });
+	}
+
+	/**
+	 * Returns the source code that's covered by this span.
+	 *
+	 * @return {string}
+	 */
+	text() {
+		return this.source.substring(this.start.offset, this.end.offset);
+	}
+
+	/**
+	 * Returns the line the span starts on, followed by a caret pointing to the start of the span.
+	 *
+	 * @return {string}
+	 */
+	excerpt() {
+		const line = this.source.split('\n')[this.start.line - 1].replace(/\r$/, '');
+
+		// Tabs are kept so that the caret lines up regardless of the tab width.
+		const padding = line.substring(0, this.start.column - 1).replace(/[^\t]/g, ' ');
+
+		return `${line}\n${padding}^`;
+	}
+
+	/**
+	 * Returns the `file:line:column` representation of the start of this span.
+	 *
+	 * @return {string}
+	 */
+	toString() {
+		return `${this.filename}:${this.start.line}:${this.start.column}`;
+	}
+
+	/**
+	 * Returns where this span is, without its source code.
+	 *
+	 * @return {SpanJSON}
+	 */
+	toJSON() {
+		return { filename: this.filename, start: { ...this.start }, end: { ...this.end } };
+	}
+}
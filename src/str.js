@@ -1,13 +1,58 @@
 import { TYPES } from './value.js';
 import Int from './int.js';
 import Literal from './literal.js';
-import { ParseError } from './error.js';
+import { ParseError, IncompleteParseError, RuntimeError } from './error.js';
+import { settings, INT_MIN, INT_MAX, wrapInt, checkRange, checkStringLength, undefinedBehaviour } from './settings.js';
 
 /**
  * @typedef {import('./stream.js')} Stream
  * @typedef {import('./value.js')} Value
+ * @typedef {import('./value.js').ValueJSON} ValueJSON
  */
 
+/**
+ * Returns whether `codepoint` is one of the characters that Knight strings can contain: tab,
+ * newline, carriage return, and printable ASCII.
+ *
+ * @param {number} codepoint The codepoint to check.
+ * @return {boolean}
+ */
+export function isKnightCodepoint(codepoint) {
+	return codepoint === 0x09 || codepoint === 0x0A || codepoint === 0x0D
+		|| (0x20 <= codepoint && codepoint <= 0x7E);
+}
+
+/**
+ * Applies `settings.overflow` to `number`, which `str` was converted to.
+ *
+ * This is the same as `checkInt`, except for the error messages.
+ *
+ * @private
+ * @param {Str} str The string that was converted.
+ * @param {number|bigint} number The exact result of converting it.
+ * @return {number|bigint} `number`, wrapped around if `settings.overflow` is `wrap`.
+ * @throws {RuntimeError} Thrown if strict and `number` doesn't fit in 32 bits, or if
+ *                        `settings.overflow` is `check` and it doesn't fit in `settings.intWidth`.
+ */
+function checkConversion(str, number) {
+	if (settings.strict && (number < INT_MIN || INT_MAX < number)) {
+		undefinedBehaviour(`${str.dump()} is converted to ${number}, which doesn't fit in 32 bits`);
+	}
+
+	if (settings.overflow === 'float') {
+		return number;
+	}
+
+	const wrapped = wrapInt(number);
+
+	if (settings.overflow === 'check' && wrapped !== number) {
+		throw new RuntimeError(
+			`integer overflow: ${str.dump()} is converted to ${number}, which doesn't fit in ${settings.intWidth} bits`);
+	}
+
+	return wrapped;
+}
+
 /**
  * The string type within Knight, used to represent textual data.
  *
@@ -20,18 +65,19 @@ export default class Str extends Literal {
 	 *
 	 * @param {Stream} stream The stream from which to parse.
 	 * @return {Str?} The parsed `Str`, or `null` if the stream did not start with a `'` or `"`.
-	 * @throws {ParseError} If a starting quote, but no ending quote, is parsed.
+	 * @throws {IncompleteParseError} If a starting quote, but no ending quote, is parsed.
 	 */
 	static parse(stream) {
 		// The modifier `/m` doesn't work in this case, so `[\s\S]` is used to
 		// match _all_ characters, including `\n` and `\r\n`.
+		const start = stream.position();
 		const match = stream.match(/^(["'])([\s\S]*?)\1/, 2);
 
 		if (match === null) {
 			// if we have a starting quote, it means the ending one didn't match.
 			const first = stream.peek();
 			if (first === "'" || first === '"') {
-				throw new ParseError(`Unterminated quote encountered: ${stream}`);
+				throw new IncompleteParseError('Unterminated quote encountered', stream.spanFrom(start));
 			}
 
 			return null;
@@ -40,15 +86,62 @@ export default class Str extends Literal {
 		return new Str(match);
 	}
 
+	/**
+	 * Recreates a `Str` from `json`, if it's the JSON of one.
+	 *
+	 * @param {ValueJSON} json The JSON of the value.
+	 * @return {Str?} The `Str`, or `null` if `json` isn't a string.
+	 * @throws {ParseError} Thrown if the value isn't a string.
+	 */
+	static fromJSON(json) {
+		if (json.kind !== 'string') {
+			return null;
+		}
+
+		if (typeof json.value !== 'string') {
+			throw new ParseError(`Invalid string: ${JSON.stringify(json.value)}`);
+		}
+
+		return new Str(json.value);
+	}
+
 	/**
 	 * Converts the string to a number, as per the Knight spec.
 	 *
 	 * This does effectively what `parseInt` does, except it returns `0` instead of `NaN`.
 	 *
 	 * @return {number} The numeric representation of this class.
+	 * @throws {RuntimeError} If the number overflows, and either strict or `settings.overflow` is
+	 *                        `check`.
 	 */
 	toNumber() {
-		return parseInt(this._data, 10) || 0;
+		// `parseInt` loses precision above 2^53, which would make wrapping inexact.
+		if (settings.overflow !== 'float') {
+			return Number(this.toInteger());
+		}
+
+		return checkConversion(this, parseInt(this._data, 10) || 0);
+	}
+
+	/**
+	 * Converts the string to an integer, as per the Knight spec.
+	 *
+	 * This is the same as `toNumber`, except that it's a `BigInt` if `settings.bigint` is enabled.
+	 * Either way, every digit is taken into account unless `settings.overflow` is `float`.
+	 *
+	 * @return {number|bigint}
+	 * @throws {RuntimeError} If the number overflows, and either strict or `settings.overflow` is
+	 *                        `check`.
+	 */
+	toInteger() {
+		if (!settings.bigint && settings.overflow === 'float') {
+			return this.toNumber();
+		}
+
+		const match = this._data.match(/^\s*[+-]?\d+/);
+		const integer = checkConversion(this, match ? BigInt(match[0]) : 0n);
+
+		return settings.bigint ? integer : Number(integer);
 	}
 
 	/**
@@ -69,14 +162,27 @@ export default class Str extends Literal {
 		return JSON.stringify(this._data);
 	}
 
+	/**
+	 * Returns this string as JSON.
+	 *
+	 * @return {ValueJSON}
+	 */
+	toJSON() {
+		return { kind: 'string', value: this._data, span: this.span?.toJSON() ?? null };
+	}
+
 	/**
 	 * Returns a new `Str` with `this` concatenated with `rhs`.
 	 *
 	 * @param {Value} rhs The value to append.
 	 * @return {Str} The concatenation of `this` and `rhs`.
+	 * @throws {RuntimeError} If the result would be longer than the maximum string length.
 	 */
 	add(rhs) {
-		return new Str(`${this}${rhs}`);
+		rhs = rhs.toString();
+		checkStringLength('+', this._data.length + rhs.length);
+
+		return new Str(this._data + rhs);
 	}
 
 	/**
@@ -84,9 +190,34 @@ export default class Str extends Literal {
 	 *
 	 * @param {Value} rhs The amount of times that `this` will be repeated.
 	 * @return {Str} `This` repeated `rhs` times.
+	 * @throws {RuntimeError} If `rhs` is negative, or the result would be longer than the maximum
+	 *                        string length (or than JavaScript supports).
 	 */
 	mul(rhs) {
-		return new Str(this._data.repeat(rhs.toNumber()));
+		rhs = rhs.toNumber();
+
+		if (settings.strict && rhs < 0) {
+			undefinedBehaviour(`'*' with a negative amount (${rhs})`);
+		}
+
+		if (rhs < 0) {
+			throw new RuntimeError(`'*' with a negative amount (${rhs})`);
+		}
+
+		const length = this._data.length * rhs;
+
+		checkStringLength('*', length);
+
+		try {
+			return new Str(this._data.repeat(rhs));
+		} catch (error) {
+			// The longest string that can be created depends on the JavaScript engine.
+			if (error instanceof RangeError) {
+				throw new RuntimeError(`'*' would create a string of length ${length}, which is too long`);
+			}
+
+			throw error;
+		}
 	}
 
 	/**
@@ -137,10 +268,13 @@ export default class Str extends Literal {
 	 * @param {Value} start The start index; converted to an integer.
 	 * @param {Value} length The amount of elements; converted to an integer.
 	 * @returns {Str} The substring.
+	 * @throws {RuntimeError} If strict, and the range is negative or out of bounds.
 	 */
 	get(start, length) {
 		start = start.toNumber();
 		length = length.toNumber();
+		checkRange('G', start, length, this._data.length);
+
 		return new Str(this._data.substring(start, start + length) || "");
 	}
 
@@ -154,25 +288,38 @@ export default class Str extends Literal {
 	 * @param {Value} length The amount of elements; converted to an integer.
 	 * @param {Value} repl The replacement; converted to a list.
 	 * @returns {Str} `this` with the replacement performed.
+	 * @throws {RuntimeError} If the result would be longer than the maximum string length, or if
+	 *                        strict and the range is negative or out of bounds.
 	 */
 	set(start, length, repl) {
 		start = start.toNumber();
 		length = length.toNumber();
 		repl = repl.toString();
+		checkRange('S', start, length, this._data.length);
 
 		if (this._data.length == start) {
+			checkStringLength('S', this._data.length + repl.length);
 			return new Str(this._data + repl);
 		}
 
-		return new Str(this._data.substring(0, start) + repl + this._data.substring(start + length));
+		const prefix = this._data.substring(0, start);
+		const suffix = this._data.substring(start + length);
+
+		checkStringLength('S', prefix.length + repl.length + suffix.length);
+		return new Str(prefix + repl + suffix);
 	}
 
 	/**
 	 * Returns the first codepoint in this string.
 	 *
 	 * @returns {Int}
+	 * @throws {RuntimeError} If strict, and the string is empty.
 	 */
 	ascii() {
+		if (settings.strict && this._data.length === 0) {
+			undefinedBehaviour("'A' with an empty string");
+		}
+
 		return new Int(this._data.charCodeAt(0));
 	}
 }
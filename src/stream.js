@@ -1,3 +1,17 @@
+import Span from './span.js';
+
+/**
+ * @typedef {import('./span.js').Position} Position
+ */
+
+/**
+ * A comment in the source code.
+ *
+ * @typedef {Object} Comment
+ * @property {string} text The comment, including its `#` but not its line ending.
+ * @property {Span} span Where the comment is.
+ */
+
 /**
  * The source code of a Knight program.
  *
@@ -12,20 +26,84 @@ export default class Stream {
 	/** @type {string} */
 	#source;
 
+	/**
+	 * The entire source code, including the parts that have already been parsed.
+	 *
+	 * @type {string}
+	 */
+	#fullSource;
+
+	/** @type {string} */
+	#filename;
+
+	/**
+	 * The current position within `#fullSource`.
+	 *
+	 * @type {Position}
+	 */
+	#position = { offset: 0, line: 1, column: 1 };
+
+	/**
+	 * The comments that have been stripped so far, or `null` if they aren't being recorded.
+	 *
+	 * @type {Array<Comment>?}
+	 */
+	comments = null;
+
 	/**
 	 * Creates a new stream with the given source.
 	 * @param {string} source The source of the stream.
+	 * @param {string} [filename] The name of the file `source` came from; used in error messages.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.comments] Whether to record the comments that are stripped, in
+	 *                                     `comments`; used when formatting code.
 	 */
-	constructor(source) {
+	constructor(source, filename='<input>', { comments = false } = {}) {
 		this.#source = source;
+		this.#fullSource = source;
+		this.#filename = filename;
+
+		if (comments) {
+			this.comments = [];
+		}
+	}
+
+	/**
+	 * Returns the current position within the stream.
+	 *
+	 * @return {Position}
+	 */
+	position() {
+		return { ...this.#position };
 	}
 
 	/**
-	 * Strips the leading whitespace and comments from `this`.
+	 * Creates a `Span` starting at `start` and ending at the current position.
+	 *
+	 * @param {Position} start Where the span begins, as returned from `position()`.
+	 * @return {Span}
+	 */
+	spanFrom(start) {
+		return new Span(this.#fullSource, this.#filename, start, this.position());
+	}
+
+	/**
+	 * Strips the leading whitespace and comments from `this`, adding the comments to `comments` if
+	 * they're being recorded.
 	 */
 	stripWhitespace() {
-		// simply ignore the return value--it can fail for all we care.
-		this.match(/^([\s():]+|#[^\n]*(\n|$))*/);
+		if (this.comments === null) {
+			// simply ignore the return value--it can fail for all we care.
+			this.match(/^([\s():]+|#[^\n]*(\n|$))*/);
+			return;
+		}
+
+		while (this.match(/^[\s():]*/) !== null && this.peek() === '#') {
+			const start = this.position();
+			const text = this.match(/^#[^\n]*/);
+
+			this.comments.push({ text: text.trimEnd(), span: this.spanFrom(start) });
+		}
 	}
 
 	/**
@@ -55,10 +133,29 @@ export default class Stream {
 
 		// remove the match from the source code.
 		this.#source = this.#source.substring(match[0].length);
+		this.#advance(match[0]);
 
 		return match[group];
 	}
 
+	/**
+	 * Updates the current position to be after `text`.
+	 *
+	 * @param {string} text The text that was just removed from the stream.
+	 */
+	#advance(text) {
+		const lines = text.split('\n');
+
+		this.#position.offset += text.length;
+
+		if (lines.length === 1) {
+			this.#position.column += text.length;
+		} else {
+			this.#position.line += lines.length - 1;
+			this.#position.column = lines[lines.length - 1].length + 1;
+		}
+	}
+
 	/**
 	 * Returns the remainder of the stream to be parsed.
 	 *
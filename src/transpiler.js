@@ -0,0 +1,479 @@
+import Func, { BUILTINS } from './func.js';
+import Ident from './ident.js';
+import Int from './int.js';
+import Str from './str.js';
+import Bool from './bool.js';
+import List from './list.js';
+import Null from './null.js';
+import * as runtime from './runtime.js';
+import { withSettings } from './settings.js';
+import { CAPABILITIES } from './interpreter.js';
+
+/**
+ * @typedef {import('./value.js').default} Value
+ * @typedef {import('./interpreter.js').default} Interpreter
+ */
+
+/**
+ * The JavaScript for each builtin whose arguments are each evaluated exactly once, from left to
+ * right. Each `$n` is replaced with the code for the `n`th argument.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+const TEMPLATES = {
+	'P': 'rt.prompt(interpreter.host)',
+	'R': 'rt.Int.random()',
+	'E': 'rt.evaluate(interpreter, $0)',
+	'C': '$0.run()',
+	'$': 'new rt.Str(interpreter.host.shell($0.toString()))',
+	'Q': 'interpreter.host.exit($0.toNumber())',
+	'L': 'new rt.Int($0.toArray().length)',
+	'D': 'rt.dump(interpreter.host, $0)',
+	'O': 'rt.output(interpreter.host, $0)',
+	'~': 'rt.Int.negate($0)',
+	',': 'new rt.List([$0])',
+	'[': '$0.head()',
+	']': '$0.tail()',
+	'A': '$0.ascii()',
+	'+': '$0.add($1)',
+	'-': '$0.sub($1)',
+	'*': '$0.mul($1)',
+	'/': '$0.div($1)',
+	'%': '$0.mod($1)',
+	'^': '$0.pow($1)',
+	'G': '$0.get($1, $2)',
+	'S': '$0.set($1, $2, $3)',
+};
+
+/**
+ * Like `TEMPLATES`, except for builtins which return a `Bool`, and without converting the JavaScript
+ * `boolean` into one.
+ *
+ * @private
+ * @type {Object.<string, string>}
+ */
+const CONDITIONS = {
+	'!': '!$0.toBoolean()',
+	'<': '$0.cmp($1) < 0',
+	'>': '$0.cmp($1) > 0',
+	'?': '$0.eql($1)',
+};
+
+/**
+ * Returns whether `value` is a `Func` with the standard semantics of the builtin `name`.
+ *
+ * @private
+ * @param {Value} value The value to check.
+ * @param {string} name The name of the builtin.
+ * @return {boolean}
+ */
+function isBuiltin(value, name) {
+	return value instanceof Func && value.name === name && value.func === BUILTINS[name];
+}
+
+/**
+ * Returns whether `value` (or anything within it) accesses variables by a name that's only known
+ * at runtime (ie via `E` or by assigning to something other than an identifier), or runs a
+ * function that isn't a builtin, which uses the interpreter's variables.
+ *
+ * Creating and calling blocks counts too, as a block can outlive the run that created it, and then
+ * it has to see the variables of the run that calls it rather than JavaScript ones.
+ *
+ * @private
+ * @param {Value} value The value to check.
+ * @return {boolean}
+ */
+function isDynamic(value) {
+	if (!(value instanceof Func)) {
+		return false;
+	}
+
+	if (!isBuiltin(value, value.name) || ['B', 'C', 'E'].includes(value.name)
+			|| (value.name === '=' && !(value.args[0] instanceof Ident))) {
+		return true;
+	}
+
+	return value.args.some(isDynamic);
+}
+
+/**
+ * Converts a tree of `Value`s into JavaScript code.
+ *
+ * @private
+ */
+class Transpiler {
+	/**
+	 * Whether variables are kept in the interpreter's `variables`, rather than in JavaScript ones.
+	 *
+	 * @type {boolean}
+	 */
+	#dynamic;
+
+	/**
+	 * Whether each function that's evaluated counts as a step towards the interpreter's budget.
+	 *
+	 * @type {boolean}
+	 */
+	#counted;
+
+	/**
+	 * Where the functions that aren't builtins are added, or `null` if they can't be transpiled.
+	 *
+	 * @type {Array<Func>?}
+	 */
+	#nodes;
+
+	/**
+	 * The names of the functions that have been denied, which fail when they're run.
+	 *
+	 * @type {Array<string>}
+	 */
+	#denied;
+
+	/**
+	 * The declarations of the literals and blocks, which are hoisted to the start of the code.
+	 *
+	 * @type {Array<string>}
+	 */
+	#declarations = [];
+
+	/**
+	 * The name of the JavaScript constant for each literal and block.
+	 *
+	 * @type {Map<Value, string>}
+	 */
+	#constants = new Map();
+
+	/**
+	 * The names of every variable that's used.
+	 *
+	 * @type {Set<string>}
+	 */
+	#variables = new Set();
+
+	/**
+	 * @param {boolean} dynamic Whether variables must be kept in the interpreter's `variables`.
+	 * @param {boolean} counted Whether to call `interpreter.step()` before evaluating each function.
+	 * @param {Array<Func>?} nodes Where to add the functions that aren't builtins, if anywhere.
+	 * @param {Array<string>} denied The names of the functions that have been denied.
+	 */
+	constructor(dynamic, counted, nodes, denied) {
+		this.#dynamic = dynamic;
+		this.#counted = counted;
+		this.#nodes = nodes;
+		this.#denied = denied;
+	}
+
+	/**
+	 * Returns `code` preceded by a call to `interpreter.step()`, if steps are being counted.
+	 *
+	 * This is done for each function, and each iteration of `W`.
+	 *
+	 * @param {string} code The code for evaluating a function.
+	 * @return {string}
+	 */
+	step(code) {
+		return this.#counted ? `(interpreter.step(), ${code})` : code;
+	}
+
+	/**
+	 * Returns the name of a JavaScript constant initialized to `code`, declaring it if need be.
+	 *
+	 * @param {Value} value The value that `code` creates.
+	 * @param {function(): string} code Returns the code for the constant's initial value.
+	 * @return {string}
+	 */
+	constant(value, code) {
+		let name = this.#constants.get(value);
+
+		if (name === undefined) {
+			name = `k${this.#constants.size}`;
+			this.#constants.set(value, name);
+			this.#declarations.push(`const ${name} = ${code()};`);
+		}
+
+		return name;
+	}
+
+	/**
+	 * Returns the code that creates a literal equal to `value`.
+	 *
+	 * @param {Value} value The literal.
+	 * @return {string}
+	 * @throws {Error} Thrown if `value` isn't one of the builtin types.
+	 */
+	literal(value) {
+		if (value instanceof Int) {
+			const integer = value.toInteger();
+			return `new rt.Int(${integer}${typeof integer === 'bigint' ? 'n' : ''})`;
+		} else if (value instanceof Str) {
+			return `new rt.Str(${JSON.stringify(value.toString())})`;
+		} else if (value instanceof Bool) {
+			return `new rt.Bool(${value.toBoolean()})`;
+		} else if (value instanceof List) {
+			return `new rt.List([${value.toArray().map(element => this.literal(element)).join(', ')}])`;
+		} else if (value instanceof Null) {
+			return 'new rt.Null()';
+		}
+
+		throw new Error(`cannot transpile ${value.dump()}`);
+	}
+
+	/**
+	 * Returns the code that reads the variable `ident`.
+	 *
+	 * @param {Ident} ident The variable.
+	 * @return {string}
+	 */
+	load(ident) {
+		const name = ident.name;
+
+		if (this.#dynamic) {
+			return `rt.lookup(interpreter.variables, '${name}')`;
+		}
+
+		this.#variables.add(name);
+		return `($${name} ?? rt.unknown('${name}'))`;
+	}
+
+	/**
+	 * Returns the code that assigns `code` to the variable `ident`.
+	 *
+	 * @param {Ident} ident The variable.
+	 * @param {string} code The code for the value to assign.
+	 * @return {string}
+	 */
+	store(ident, code) {
+		const name = ident.name;
+
+		if (this.#dynamic) {
+			return `rt.assign(interpreter.variables, '${name}', ${code})`;
+		}
+
+		this.#variables.add(name);
+		return `($${name} = ${code})`;
+	}
+
+	/**
+	 * Replaces each `$n` in `template` with the JavaScript expression for the `n`th argument of `value`.
+	 *
+	 * @param {string} template The code for the builtin.
+	 * @param {Func} value The function whose arguments are substituted.
+	 * @return {string}
+	 */
+	substitute(template, value) {
+		return template.replace(/\$(\d)/g, (_, index) => this.expression(value.args[index]));
+	}
+
+	/**
+	 * Returns a JavaScript expression for whether the result of running `value` is truthy.
+	 *
+	 * @param {Value} value The value to transpile.
+	 * @return {string}
+	 */
+	condition(value) {
+		if (isBuiltin(value, value.name) && value.name in CONDITIONS) {
+			return this.step(`(${this.substitute(CONDITIONS[value.name], value)})`);
+		}
+
+		return `${this.expression(value)}.toBoolean()`;
+	}
+
+	/**
+	 * Returns a JavaScript expression that has the same result as running `value`.
+	 *
+	 * @param {Value} value The value to transpile.
+	 * @return {string}
+	 * @throws {Error} Thrown if `value` contains a function that isn't a builtin.
+	 */
+	expression(value) {
+		if (value instanceof Ident) {
+			return this.load(value);
+		}
+
+		if (!(value instanceof Func)) {
+			return this.constant(value, () => this.literal(value));
+		}
+
+		if (!isBuiltin(value, value.name)) {
+			if (this.#nodes !== null) {
+				// These are run as-is, which counts their step.
+				return `nodes[${this.#nodes.push(value) - 1}].run()`;
+			}
+
+			// Denied functions fail before their arguments are evaluated, so they can be ignored.
+			if (this.#denied.includes(value.name)) {
+				return this.step(`rt.denied(${JSON.stringify(value.name)})`);
+			}
+
+			throw new Error(`cannot transpile '${value.name}', as it isn't a builtin function`);
+		}
+
+		return this.step(this.builtin(value));
+	}
+
+	/**
+	 * Returns a JavaScript expression that has the same result as running the builtin `value`,
+	 * without counting it as a step.
+	 *
+	 * @param {Func} value The function to transpile.
+	 * @return {string}
+	 */
+	builtin(value) {
+		const [first, second, third] = value.args;
+
+		switch (value.name) {
+		case 'B':
+			if (!(first instanceof Func || first instanceof Ident)) {
+				return this.expression(first);
+			}
+
+			// Since all variables are global, blocks don't capture anything, and can be created once.
+			return this.constant(first, () =>
+				`new rt.Block(() => ${this.expression(first)}, ${JSON.stringify(first.dump())})`);
+
+		case ';':
+			return `(${this.expression(first)}, ${this.expression(second)})`;
+
+		case '=':
+			if (first instanceof Ident) {
+				return this.store(first, this.expression(second));
+			}
+
+			return `rt.assign(interpreter.variables, ${this.expression(first)}.toString(), ${this.expression(second)})`;
+
+		case 'W':
+			return `(() => { while (${this.condition(first)}) ${this.step(this.expression(second))}; return new rt.Null(); })()`;
+
+		case 'I':
+			return `(${this.condition(first)} ? ${this.expression(second)} : ${this.expression(third)})`;
+
+		case '&':
+			return `(lhs => lhs.toBoolean() ? ${this.expression(second)} : lhs)(${this.expression(first)})`;
+
+		case '|':
+			return `(lhs => lhs.toBoolean() ? lhs : ${this.expression(second)})(${this.expression(first)})`;
+
+		default:
+			if (value.name in CONDITIONS) {
+				return `new rt.Bool(${this.substitute(CONDITIONS[value.name], value)})`;
+			}
+
+			return this.substitute(TEMPLATES[value.name], value);
+		}
+	}
+
+	/**
+	 * Returns the body of a function which takes `rt` and `interpreter` and runs `value`.
+	 *
+	 * @param {Value} value The value to transpile.
+	 * @return {string}
+	 */
+	body(value) {
+		const result = this.expression(value);
+		const variables = [...this.#variables];
+		let code = this.#declarations.join('\n');
+
+		if (variables.length === 0) {
+			return `${code}\nreturn ${result};\n`;
+		}
+
+		// Variables start out with, and are written back to, the interpreter's values, so that they
+		// persist between runs.
+		code += `\nlet ${variables.map(name => `$${name} = interpreter.variables.get('${name}')`).join(', ')};\n`;
+		code += `try {\n\treturn ${result};\n} finally {\n`;
+
+		for (const name of variables) {
+			code += `\tif ($${name} !== undefined) interpreter.variables.set('${name}', $${name});\n`;
+		}
+
+		return `${code}}\n`;
+	}
+}
+
+/**
+ * Converts `value` into the body of a JavaScript function which has the same effect as running it.
+ *
+ * The function takes two parameters: `rt`, the `runtime.js` module, and `interpreter`, the
+ * `Interpreter` whose variables and host are used. `E` is evaluated by `interpreter` at runtime.
+ *
+ * @param {Value} value The value to transpile.
+ * @param {Object} [options]
+ * @param {boolean} [options.counted] Whether to call `interpreter.step()` before evaluating each
+ *                                    function, as `Func#run` does.
+ * @param {Array<Func>} [options.nodes] If given, functions that aren't builtins are added to this,
+ *                                      and run as-is; the function then takes it as a third
+ *                                      parameter, `nodes`.
+ * @param {Array<string>} [options.denied] The names of functions that have been denied, which fail
+ *                                         with a "permission denied" error when run, if `nodes`
+ *                                         isn't given.
+ * @return {string}
+ * @throws {Error} Thrown if `value` contains a function that isn't a builtin or denied, and `nodes`
+ *                 isn't given.
+ */
+export default function transpile(value, { counted = false, nodes = null, denied = [] } = {}) {
+	return new Transpiler(isDynamic(value), counted, nodes, denied).body(value);
+}
+
+/**
+ * Returns the JavaScript for `value`, which is a setting of an `Interpreter`.
+ *
+ * @private
+ * @param {*} value The value of the setting.
+ * @return {string}
+ */
+function serialize(value) {
+	// `JSON.stringify` would turn `Infinity` (the default maximum lengths) into `null`.
+	return typeof value === 'number' ? String(value) : JSON.stringify(value);
+}
+
+/**
+ * Converts `value` into a standalone JavaScript module which runs it when imported.
+ *
+ * The module uses a new `Interpreter` with a `NodeHost` and the same settings and denied
+ * capabilities as `interpreter` (eg `bigint` and `strict`), and exports the result of running
+ * `value`.
+ *
+ * @param {Value} value The value to transpile.
+ * @param {Interpreter} interpreter The interpreter that parsed `value`.
+ * @param {Object} [options]
+ * @param {string} [options.src] The URL of the directory to import `runtime.js` and `node.js` from;
+ *                               defaults to the one containing this file.
+ * @return {string}
+ * @throws {Error} Thrown if `value` contains a function that isn't a builtin.
+ */
+export function toModule(value, interpreter, { src = new URL('.', import.meta.url).href } = {}) {
+	const { settings, deny } = interpreter;
+	const options = Object.entries({ ...settings, deny })
+		.map(([name, setting]) => `${name}: ${serialize(setting)}`);
+	const denied = deny.map(capability => CAPABILITIES[capability]);
+
+	// Literals (eg `BigInt`s) are converted to JavaScript according to the settings.
+	const body = withSettings(settings, () => transpile(value, { denied }));
+
+	return `import * as rt from '${new URL('runtime.js', src)}';
+import { Interpreter } from '${new URL('node.js', src)}';
+
+const interpreter = new Interpreter({ ${options.join(', ')} });
+
+export default interpreter.run(new rt.Block(() => {
+${body}}, '<module>'));
+`;
+}
+
+/**
+ * Transpiles `value` and runs the resulting JavaScript with `interpreter`.
+ *
+ * Functions that aren't builtins are run without being transpiled.
+ *
+ * @param {Value} value The value to run.
+ * @param {Interpreter} interpreter The interpreter whose variables and host are used.
+ * @return {Value} The result of running `value`.
+ */
+export function evaluate(value, interpreter) {
+	const nodes = [];
+	const body = transpile(value, { counted: interpreter.counted, nodes });
+
+	return new Function('rt', 'interpreter', 'nodes', body)(runtime, interpreter, nodes);
+}
@@ -1,5 +1,23 @@
+import Span from './span.js';
+import { ParseError, RuntimeError } from './error.js';
+
 /**
  * @typedef {import('./stream.js').Stream} Stream
+ * @typedef {import('./span.js').SpanJSON} SpanJSON
+ * @typedef {import('./interpreter.js').default} Interpreter
+ */
+
+/**
+ * A value in the JSON format of Knight's syntax tree, as returned by `Value#toJSON`.
+ *
+ * @typedef {Object} ValueJSON
+ * @property {'function'|'identifier'|'integer'|'string'|'boolean'|'null'|'list'} kind What kind of
+ *           value it is.
+ * @property {string} [name] The name of the function or identifier.
+ * @property {Array<ValueJSON>} [args] The arguments of the function.
+ * @property {number|string|boolean|null|Array<ValueJSON>} [value] The data of a literal. Integers
+ *           that a JSON number can't hold exactly are strings of their digits instead.
+ * @property {SpanJSON?} span Where in the source code the value was parsed from, if it was.
  */
 
 /**
@@ -13,6 +31,28 @@
  */
 export const TYPES = [];
 
+/**
+ * Returns `name` after the indefinite article that goes before it, eg `an Int` or `a Str`.
+ *
+ * @param {string} name The name of a type.
+ * @return {string}
+ */
+export function withArticle(name) {
+	return `${/^[AEIOU]/.test(name) ? 'an' : 'a'} ${name}`;
+}
+
+/**
+ * Fails because `value` doesn't support the function `operation`.
+ *
+ * @private
+ * @param {string} operation The name of the function.
+ * @param {Value} value The value `operation` was called on.
+ * @throws {RuntimeError} This is always thrown.
+ */
+function unsupported(operation, value) {
+	throw new RuntimeError(`cannot '${operation}' ${withArticle(value.typeName)}`);
+}
+
 /**
  * The parent class for all entities within Knight source code.
  *
@@ -29,19 +69,30 @@ export const TYPES = [];
  * @abstract
  */
 export default class Value {
+	/**
+	 * Where in the source code this value was parsed from, or `null` if it wasn't parsed.
+	 *
+	 * @type {Span?}
+	 */
+	span = null;
+
 	/**
 	 * Attempts to parse out a new value from the given `stream`.
 	 *
 	 * @param {Stream} stream The stream to parse.
+	 * @param {Interpreter} interpreter The interpreter that identifiers and functions are bound to.
 	 * @return {Value?} Returns the parsed value, or `null` if nothing could be parsed.
 	 */
-	static parse(stream) {
+	static parse(stream, interpreter) {
 		stream.stripWhitespace();
 
+		const start = stream.position();
+
 		for (var i = 0; i < TYPES.length; i++) {
-			const match = TYPES[i].parse(stream);
+			const match = TYPES[i].parse(stream, interpreter);
 
 			if (match) {
+				match.span = stream.spanFrom(start);
 				return match;
 			}
 		}
@@ -49,6 +100,47 @@ export default class Value {
 		return null;
 	}
 
+	/**
+	 * Recreates the value that `json` was created from, by `toJSON`.
+	 *
+	 * Spans refer to the source code they cover, which isn't part of the JSON, so they're only
+	 * recreated if `source` is given.
+	 *
+	 * @param {ValueJSON} json The JSON of the value.
+	 * @param {Interpreter} interpreter The interpreter that identifiers and functions are bound to.
+	 * @param {string?} [source] The source code that `json` was parsed from.
+	 * @return {Value}
+	 * @throws {ParseError} Thrown if `json` isn't a valid value, or has an invalid span.
+	 */
+	static fromJSON(json, interpreter, source = null) {
+		if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+			throw new ParseError(`Invalid value: ${JSON.stringify(json)}`);
+		}
+
+		for (var i = 0; i < TYPES.length; i++) {
+			const value = TYPES[i].fromJSON(json, interpreter, source);
+
+			if (value) {
+				value.span = source === null || !json.span ? null : Span.fromJSON(json.span, source);
+				return value;
+			}
+		}
+
+		throw new ParseError(`Unknown kind of value: ${JSON.stringify(json.kind)}`);
+	}
+
+	/**
+	 * The name of this value's type, as used in error messages.
+	 *
+	 * The only values that aren't literals that code can evaluate to are the results of `B`, so
+	 * by default this is `Block`.
+	 *
+	 * @return {string}
+	 */
+	get typeName() {
+		return 'Block';
+	}
+
 	/**
 	 * Returns the result of evaluating `this`.
 	 *
@@ -64,7 +156,18 @@ export default class Value {
 	 * @abstract
 	 * @return {string}
 	 */
-	debug() {
+	dump() {
+		throw new Error;
+	}
+
+	/**
+	 * Returns `this` in the JSON format of Knight's syntax tree, which `fromJSON` can recreate it
+	 * from.
+	 *
+	 * @abstract
+	 * @return {ValueJSON}
+	 */
+	toJSON() {
 		throw new Error;
 	}
 
@@ -90,6 +193,18 @@ export default class Value {
 		return this.run().toNumber();
 	}
 
+	/**
+	 * Converts this Value to an integer for arithmetic: a JavaScript number, or a `BigInt` if
+	 * `settings.bigint` is enabled.
+	 *
+	 * The default implementation simply calls `toInteger()` on `run()`'s result.
+	 *
+	 * @return {number|bigint}
+	 */
+	toInteger() {
+		return this.run().toInteger();
+	}
+
 	/**
 	 * Converts this Value to a JavaScript boolean.
 	 *
@@ -111,4 +226,135 @@ export default class Value {
 	toArray() {
 		return this.run().toArray();
 	}
+
+	/**
+	 * Checks to see if `rhs` is _identical_ to `this`, which is how values other than literals
+	 * (ie blocks) are compared.
+	 *
+	 * @param {Value} rhs The value to compare against.
+	 * @return {boolean} Whether `this` and `rhs` are the same object.
+	 */
+	eql(rhs) {
+		return Object.is(this, rhs);
+	}
+
+	/**
+	 * Only `Int`s, `Str`s, and `List`s support `+`, so by default this fails.
+	 *
+	 * @param {Value} _rhs Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	add(_rhs) {
+		unsupported('+', this);
+	}
+
+	/**
+	 * Only `Int`s support `-`, so by default this fails.
+	 *
+	 * @param {Value} _rhs Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	sub(_rhs) {
+		unsupported('-', this);
+	}
+
+	/**
+	 * Only `Int`s, `Str`s, and `List`s support `*`, so by default this fails.
+	 *
+	 * @param {Value} _rhs Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	mul(_rhs) {
+		unsupported('*', this);
+	}
+
+	/**
+	 * Only `Int`s support `/`, so by default this fails.
+	 *
+	 * @param {Value} _rhs Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	div(_rhs) {
+		unsupported('/', this);
+	}
+
+	/**
+	 * Only `Int`s support `%`, so by default this fails.
+	 *
+	 * @param {Value} _rhs Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	mod(_rhs) {
+		unsupported('%', this);
+	}
+
+	/**
+	 * Only `Int`s and `List`s support `^`, so by default this fails.
+	 *
+	 * @param {Value} _rhs Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	pow(_rhs) {
+		unsupported('^', this);
+	}
+
+	/**
+	 * Only `Int`s, `Str`s, `Bool`s, and `List`s support `<` and `>`, so by default this fails.
+	 *
+	 * @param {Value} _rhs Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	cmp(_rhs) {
+		throw new RuntimeError(`cannot '<' or '>' ${withArticle(this.typeName)}`);
+	}
+
+	/**
+	 * Only `Str`s and `List`s support `[`, so by default this fails.
+	 *
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	head() {
+		unsupported('[', this);
+	}
+
+	/**
+	 * Only `Str`s and `List`s support `]`, so by default this fails.
+	 *
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	tail() {
+		unsupported(']', this);
+	}
+
+	/**
+	 * Only `Str`s and `List`s support `G`, so by default this fails.
+	 *
+	 * @param {Value} _start Ignored.
+	 * @param {Value} _length Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	get(_start, _length) {
+		unsupported('G', this);
+	}
+
+	/**
+	 * Only `Str`s and `List`s support `S`, so by default this fails.
+	 *
+	 * @param {Value} _start Ignored.
+	 * @param {Value} _length Ignored.
+	 * @param {Value} _repl Ignored.
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	set(_start, _length, _repl) {
+		unsupported('S', this);
+	}
+
+	/**
+	 * Only `Int`s and `Str`s support `A`, so by default this fails.
+	 *
+	 * @throws {RuntimeError} This is always thrown.
+	 */
+	ascii() {
+		unsupported('A', this);
+	}
 }
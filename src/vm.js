@@ -0,0 +1,402 @@
+import Value from './value.js';
+import Func from './func.js';
+import Literal from './literal.js';
+import Bool from './bool.js';
+import Null from './null.js';
+import compile, { Op } from './compiler.js';
+import { KnightError, RuntimeError } from './error.js';
+
+const {
+	CONST, NULL, LOAD, STORE, POP, JUMP, JUMP_IF_FALSE, AND, OR, CALL, CALL_BLOCK, EVAL, RUN,
+	ADD, SUB, MUL, DIV, MOD, POW, LTH, GTH, EQL, NOT, ASSIGN, JUMP_UNLESS_LTH, JUMP_UNLESS_GTH, STEP,
+} = Op;
+
+/**
+ * @typedef {import('./compiler.js').Chunk} Chunk
+ * @typedef {import('./compiler.js').Chain} Chain
+ * @typedef {import('./span.js').default} Span
+ */
+
+/**
+ * The state of a chunk that's waiting for a block (or code passed to `E`) to finish running.
+ *
+ * @private
+ * @typedef {Object} Frame
+ * @property {Chunk} chunk The chunk that's waiting.
+ * @property {number} pc Where to continue executing `chunk`.
+ * @property {number} start The position of the opcode that started running the block.
+ * @property {Span?} site When waiting for code passed to `E`, where the `E` was parsed.
+ * @property {string?} source When waiting for code passed to `E`, that code.
+ */
+
+/**
+ * A value that's already been evaluated by the `VM`.
+ *
+ * Builtins expect their arguments to be unevaluated, and so call `run()` on them. Literals simply
+ * return themselves when run, but blocks (eg from `B`) would be run a second time. So, those are
+ * wrapped in an `Evaluated` before being passed to builtins.
+ *
+ * @private
+ */
+class Evaluated extends Value {
+	/** @type {Value} */
+	#value;
+
+	/**
+	 * @param {Value} value The result of evaluating something.
+	 */
+	constructor(value) {
+		super();
+
+		this.#value = value;
+	}
+
+	/**
+	 * Returns the value this was created with, without running it.
+	 *
+	 * @return {Value}
+	 */
+	run() {
+		return this.#value;
+	}
+}
+
+/**
+ * Converts an evaluated value into something that can be passed to a builtin.
+ *
+ * @private
+ * @param {Value} value The evaluated value.
+ * @return {Value} `value` if it's a literal, otherwise `value` wrapped in an `Evaluated`.
+ */
+function argument(value) {
+	return value instanceof Literal ? value : new Evaluated(value);
+}
+
+/**
+ * A stack-based virtual machine which executes `Chunk`s produced by `compile`.
+ *
+ * This has the same semantics as calling `run()` on the original values, but avoids walking the
+ * tree of values each time. Calling blocks (and `E`) doesn't use the JavaScript call stack, so how
+ * deeply Knight code can recurse is only limited by `maxDepth`.
+ */
+export default class VM {
+	/**
+	 * The most blocks (and `E`s) that can be running at once.
+	 *
+	 * @type {number}
+	 */
+	maxDepth;
+
+	/**
+	 * The compiled code for each value that's been run, so blocks are only compiled once.
+	 *
+	 * @type {WeakMap<Value, Chunk>}
+	 */
+	#chunks = new WeakMap();
+
+	/**
+	 * Whether each `Func` that's evaluated counts as a step towards its interpreter's budget.
+	 *
+	 * @type {boolean}
+	 */
+	#counted;
+
+	/**
+	 * Creates a new `VM`.
+	 *
+	 * @param {Object} [options]
+	 * @param {number} [options.maxDepth] The most blocks (and `E`s) that can be running at once.
+	 * @param {boolean} [options.counted] Whether each `Func` that's evaluated counts as a step towards
+	 *                                    its interpreter's budget.
+	 */
+	constructor({ maxDepth = 100_000, counted = false } = {}) {
+		this.maxDepth = maxDepth;
+		this.#counted = counted;
+	}
+
+	/**
+	 * Returns the compiled code for `func`, compiling it if it hasn't been already.
+	 *
+	 * @param {Func} func The function to compile.
+	 * @return {Chunk}
+	 */
+	#compile(func) {
+		let chunk = this.#chunks.get(func);
+
+		if (chunk === undefined) {
+			chunk = compile(func, { counted: this.#counted });
+			this.#chunks.set(func, chunk);
+		}
+
+		return chunk;
+	}
+
+	/**
+	 * Returns the result of running `value`.
+	 *
+	 * @param {Value} value The value to run.
+	 * @return {Value}
+	 */
+	run(value) {
+		if (!(value instanceof Func)) {
+			return value.run();
+		}
+
+		return this.execute(this.#compile(value));
+	}
+
+	/**
+	 * Executes `chunk`, returning the value that's left on the stack.
+	 *
+	 * Any `KnightError`s are given the location and call trace of the opcode that caused them.
+	 *
+	 * @param {Chunk} chunk The code to execute.
+	 * @return {Value}
+	 * @throws {RuntimeError} Thrown if more than `maxDepth` blocks would be running at once.
+	 */
+	execute(chunk) {
+		const stack = [];
+		/** @type {Array<Frame>} */
+		const frames = [];
+		let { code, constants, chains } = chunk;
+		let sp = 0; // The amount of values on the stack.
+		let pc = 0;
+		let start = 0;
+		let rhs;
+
+		try {
+			for (;;) {
+				while (pc < code.length) {
+					start = pc;
+
+					switch (code[pc++]) {
+					case CONST:
+						stack[sp++] = constants[code[pc++]];
+						break;
+
+					case NULL:
+						stack[sp++] = new Null();
+						break;
+
+					case LOAD:
+						stack[sp++] = constants[code[pc++]].run();
+						break;
+
+					case STORE:
+						constants[code[pc++]].assign(stack[sp - 1]);
+						break;
+
+					case POP:
+						sp--;
+						break;
+
+					case JUMP:
+						pc = code[pc];
+						break;
+
+					case JUMP_IF_FALSE:
+						pc = stack[--sp].toBoolean() ? pc + 1 : code[pc];
+						break;
+
+					case AND:
+						if (stack[sp - 1].toBoolean()) {
+							sp--;
+							pc++;
+						} else {
+							pc = code[pc];
+						}
+						break;
+
+					case OR:
+						if (stack[sp - 1].toBoolean()) {
+							pc = code[pc];
+						} else {
+							sp--;
+							pc++;
+						}
+						break;
+
+					case CALL: {
+						const func = constants[code[pc++]];
+						const arity = code[pc++];
+						const args = new Array(arity);
+
+						sp -= arity;
+						for (let i = 0; i < arity; i++) {
+							args[i] = argument(stack[sp + i]);
+						}
+
+						stack[sp++] = func.func.apply(func, args);
+						break;
+					}
+
+					case CALL_BLOCK:
+						if (stack[sp - 1] instanceof Func) {
+							this.#checkDepth(frames);
+							frames.push({ chunk, pc, start, site: null, source: null });
+							({ code, constants, chains } = chunk = this.#compile(stack[--sp]));
+							pc = 0;
+						} else {
+							stack[sp - 1] = stack[sp - 1].run();
+						}
+						break;
+
+					case EVAL: {
+						const func = constants[code[pc++]];
+						const source = stack[sp - 1].toString();
+						let value;
+
+						try {
+							value = func.interpreter.parse(source, '<eval>');
+						} catch (error) {
+							if (error instanceof KnightError) {
+								error.markEvaluated(func.span, source);
+							}
+
+							throw error;
+						}
+
+						if (value instanceof Func) {
+							this.#checkDepth(frames);
+							frames.push({ chunk, pc, start, site: func.span, source });
+							({ code, constants, chains } = chunk = compile(value, { counted: this.#counted }));
+							sp--;
+							pc = 0;
+						} else {
+							stack[sp - 1] = value.run();
+						}
+						break;
+					}
+
+					case RUN:
+						stack[sp++] = constants[code[pc++]].run();
+						break;
+
+					// Since the operands have already been evaluated, calling these methods directly is
+					// the same as what the builtins do.
+					case ADD:
+						rhs = stack[--sp];
+						stack[sp - 1] = stack[sp - 1].add(rhs);
+						break;
+
+					case SUB:
+						rhs = stack[--sp];
+						stack[sp - 1] = stack[sp - 1].sub(rhs);
+						break;
+
+					case MUL:
+						rhs = stack[--sp];
+						stack[sp - 1] = stack[sp - 1].mul(rhs);
+						break;
+
+					case DIV:
+						rhs = stack[--sp];
+						stack[sp - 1] = stack[sp - 1].div(rhs);
+						break;
+
+					case MOD:
+						rhs = stack[--sp];
+						stack[sp - 1] = stack[sp - 1].mod(rhs);
+						break;
+
+					case POW:
+						rhs = stack[--sp];
+						stack[sp - 1] = stack[sp - 1].pow(rhs);
+						break;
+
+					case LTH:
+						rhs = stack[--sp];
+						stack[sp - 1] = new Bool(stack[sp - 1].cmp(rhs) < 0);
+						break;
+
+					case GTH:
+						rhs = stack[--sp];
+						stack[sp - 1] = new Bool(stack[sp - 1].cmp(rhs) > 0);
+						break;
+
+					case EQL:
+						rhs = stack[--sp];
+						stack[sp - 1] = new Bool(stack[sp - 1].eql(rhs));
+						break;
+
+					case NOT:
+						stack[sp - 1] = new Bool(!stack[sp - 1].toBoolean());
+						break;
+
+					case ASSIGN:
+						constants[code[pc++]].assign(stack[--sp]);
+						break;
+
+					case JUMP_UNLESS_LTH:
+						rhs = stack[--sp];
+						pc = stack[--sp].cmp(rhs) < 0 ? pc + 1 : code[pc];
+						break;
+
+					case JUMP_UNLESS_GTH:
+						rhs = stack[--sp];
+						pc = stack[--sp].cmp(rhs) > 0 ? pc + 1 : code[pc];
+						break;
+
+					case STEP:
+						constants[code[pc++]].interpreter.step();
+						break;
+
+					default:
+						throw new Error(`unknown opcode ${code[start]}`);
+					}
+				}
+
+				// The current chunk is done, so continue with the one that was waiting on it.
+				if (frames.length === 0) {
+					break;
+				}
+
+				({ chunk, pc, start } = frames.pop());
+				({ code, constants, chains } = chunk);
+			}
+		} catch (error) {
+			if (error instanceof KnightError) {
+				this.#unwind(error, chains[start]);
+
+				while (frames.length !== 0) {
+					const frame = frames.pop();
+
+					if (frame.source !== null) {
+						error.markEvaluated(frame.site, frame.source);
+					}
+
+					this.#unwind(error, frame.chunk.chains[frame.start]);
+				}
+			}
+
+			throw error;
+		}
+
+		return stack[sp - 1];
+	}
+
+	/**
+	 * Ensures another block (or `E`) can be started.
+	 *
+	 * @param {Array<Frame>} frames The chunks that are currently waiting.
+	 * @throws {RuntimeError} Thrown if `maxDepth` blocks are already running.
+	 */
+	#checkDepth(frames) {
+		if (frames.length === this.maxDepth) {
+			throw new RuntimeError(`Recursion limit of ${this.maxDepth} exceeded`);
+		}
+	}
+
+	/**
+	 * Gives `error` the location and call trace of the `Func`s in `chain`, as per `Func#run`.
+	 *
+	 * @param {KnightError} error The error that occurred.
+	 * @param {Chain?} chain The `Func`s enclosing the opcode that caused it.
+	 */
+	#unwind(error, chain) {
+		for (; chain; chain = chain.parent) {
+			error.span ??= chain.node.span;
+			error.addFrame(chain.node.traceName(), chain.node.span);
+		}
+	}
+}
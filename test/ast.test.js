@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interpreter, KnightError, MemoryHost, ParseError } from '../src/knight.js';
+import { MODES } from './helpers.js';
+
+/**
+ * Removes the spans from `json`, so it's easier to compare.
+ *
+ * @param {Object} json The JSON of a value.
+ * @return {Object}
+ */
+function withoutSpans(json) {
+	return JSON.parse(JSON.stringify(json, (key, value) => key === 'span' ? undefined : value));
+}
+
+describe('syntax tree JSON', () => {
+	it('includes the kind, name, arguments, and value of each value', () => {
+		const json = new Interpreter().parse('; = a "x" O + a T').toJSON();
+
+		assert.deepEqual(withoutSpans(json), {
+			kind: 'function', name: ';', args: [
+				{ kind: 'function', name: '=', args: [
+					{ kind: 'identifier', name: 'a' },
+					{ kind: 'string', value: 'x' },
+				] },
+				{ kind: 'function', name: 'O', args: [
+					{ kind: 'function', name: '+', args: [
+						{ kind: 'identifier', name: 'a' },
+						{ kind: 'boolean', value: true },
+					] },
+				] },
+			],
+		});
+		assert.deepEqual(withoutSpans(new Interpreter().parse('+ @ N').toJSON().args), [
+			{ kind: 'list', value: [] },
+			{ kind: 'null', value: null },
+		]);
+	});
+
+	it('includes where each value is', () => {
+		const json = new Interpreter().parse('+ 1\n  22', 'test.kn').toJSON();
+
+		assert.deepEqual(json.span, {
+			filename: 'test.kn',
+			start: { offset: 0, line: 1, column: 1 },
+			end: { offset: 8, line: 2, column: 5 },
+		});
+		assert.deepEqual(json.args[1].span.start, { offset: 6, line: 2, column: 3 });
+	});
+
+	it('writes integers that JSON numbers can\'t hold as strings', () => {
+		const interpreter = new Interpreter({ bigint: true });
+
+		assert.deepEqual(interpreter.parse('12').toJSON().value, 12);
+		assert.deepEqual(interpreter.parse('123456789012345678901').toJSON().value, '123456789012345678901');
+		assert.equal(interpreter.fromJSON({ kind: 'integer', value: '123456789012345678901' }).dump(),
+			'123456789012345678901');
+	});
+
+	it('can be run after being recreated', () => {
+		const source = '; = f B ; = n - n 1 * 2 n ; = n 5 ; O C f : DUMP + @ ,"a"';
+
+		for (const [mode, options] of Object.entries(MODES)) {
+			const host = new MemoryHost();
+			const interpreter = new Interpreter({ host, ...options });
+			const json = JSON.parse(JSON.stringify(interpreter.parse(source)));
+
+			assert.equal(interpreter.run(interpreter.fromJSON(json)).dump(), '["a"]', mode);
+			assert.equal(host.output, '8\n["a"]', mode);
+		}
+	});
+
+	it('round-trips', () => {
+		const interpreter = new Interpreter();
+		const json = interpreter.parse('I (< 1 2) "yes" @', 'test.kn').toJSON();
+
+		assert.deepEqual(withoutSpans(interpreter.fromJSON(json).toJSON()), withoutSpans(json));
+		assert.deepEqual(interpreter.fromJSON(json, 'I (< 1 2) "yes" @').toJSON(), json);
+	});
+
+	it('only recreates spans when given the source code', () => {
+		const interpreter = new Interpreter({ host: new MemoryHost() });
+		const json = interpreter.parse('+ 1 ; = a 2 b', 'test.kn').toJSON();
+
+		assert.equal(interpreter.fromJSON(json).span, null);
+		assert.throws(() => interpreter.run(interpreter.fromJSON(json, '+ 1 ; = a 2 b')), error =>
+			error instanceof KnightError && String(error.span) === 'test.kn:1:13');
+	});
+
+	it('fails on invalid JSON', () => {
+		const interpreter = new Interpreter();
+		const fails = (json, message, source) =>
+			assert.throws(() => interpreter.fromJSON(json, source), error => error instanceof ParseError && message.test(error.message));
+
+		fails(null, /Invalid value/);
+		fails('+ 1 2', /Invalid value/);
+		fails([], /Invalid value/);
+		fails({ kind: 'nope' }, /Unknown kind of value/);
+		fails({ kind: 'function', name: 'Z', args: [] }, /Unknown function/);
+		fails({ kind: 'function', name: 'O', args: [] }, /takes 1 argument/);
+		fails({ kind: 'function', name: 'O', args: [null] }, /Invalid value/);
+		fails({ kind: 'identifier', name: 'A' }, /Invalid identifier/);
+		fails({ kind: 'integer', value: 1.5 }, /Invalid integer/);
+		fails({ kind: 'string', value: 1 }, /Invalid string/);
+		fails({ kind: 'boolean', value: 'true' }, /Invalid boolean/);
+		fails({ kind: 'list', value: {} }, /Invalid list/);
+		fails({ kind: 'null', span: {} }, /Invalid span/, 'N');
+		fails({ kind: 'null', span: { filename: 'a', start: { offset: 0, line: 1, column: 1 } } }, /Invalid span/, 'N');
+
+		const span = { filename: 'a', start: { offset: 0, line: 1, column: 1 }, end: { offset: 2, line: 1, column: 3 } };
+		fails({ kind: 'null', span }, /Invalid span/, 'N');
+		assert.equal(String(interpreter.fromJSON({ kind: 'null', span }, 'NU').span), 'a:1:1');
+
+		const misplaced = { ...span, start: { offset: 0, line: 9, column: 1 } };
+		fails({ kind: 'null', span: misplaced }, /Invalid span/, 'NU');
+		fails({ kind: 'null', span: { ...span, end: { offset: 2, line: 1, column: 2 } } }, /Invalid span/, 'NU');
+
+		const nextLine = { filename: 'a', start: { offset: 1, line: 2, column: 1 }, end: { offset: 3, line: 2, column: 3 } };
+		assert.equal(interpreter.fromJSON({ kind: 'null', span: nextLine }, '\nNU').span.excerpt(), 'NU\n^');
+	});
+
+	it('fails on programs where only some values have spans', () => {
+		const interpreter = new Interpreter();
+		const json = interpreter.parse('+ 1 2').toJSON();
+
+		delete json.args[1].span;
+		assert.throws(() => interpreter.fromJSON(json, '+ 1 2'),
+			error => error instanceof ParseError && /Invalid span/.test(error.message));
+		assert.equal(interpreter.fromJSON(json).span, null);
+	});
+});
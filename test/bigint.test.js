@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MODES, dump } from './helpers.js';
+
+for (const [mode, options] of Object.entries(MODES)) {
+	const bigint = source => dump(source, { ...options, bigint: true });
+
+	describe(`bigint mode (${mode})`, () => {
+		it('parses and does arithmetic exactly', () => {
+			assert.equal(bigint('12345678901234567890'), '12345678901234567890');
+			assert.equal(bigint('^ 2 64'), '18446744073709551616');
+			assert.equal(bigint('* 12345678901234567890 98765432109876543210'), '1219326311370217952237463801111263526900');
+			assert.equal(bigint('- 100000000000000000000 1'), '99999999999999999999');
+			assert.equal(bigint('/ ~100000000000000000007 10'), '-10000000000000000000');
+			assert.equal(bigint('% 100000000000000000007 10'), '7');
+		});
+
+		it('truncates negative exponents', () => {
+			assert.equal(bigint('^ 2 ~1'), '0');
+			assert.equal(bigint('^ ~1 ~3'), '-1');
+			assert.equal(bigint('^ 1 ~3'), '1');
+		});
+
+		it('compares exactly', () => {
+			assert.equal(bigint('< 99999999999999999999 100000000000000000000'), 'true');
+			assert.equal(bigint('? ^ 2 64 18446744073709551616'), 'true');
+			assert.equal(bigint('? L "abc" 3'), 'true');
+		});
+
+		it('converts strings to integers exactly', () => {
+			assert.equal(bigint('+ 0 "  -123456789012345678901234567890"'), '-123456789012345678901234567890');
+			assert.equal(bigint('~ "99999999999999999999"'), '-99999999999999999999');
+			assert.equal(bigint('+ 0 "a1"'), '0');
+		});
+
+		it('converts integers to strings and digits exactly', () => {
+			assert.equal(bigint('+ "" ^ 3 50'), '"717897987691852588770249"');
+			assert.equal(bigint('+ @ ~ 12345678901234567890'), '[-1, -2, -3, -4, -5, -6, -7, -8, -9, 0, -1, -2, -3, -4, -5, -6, -7, -8, -9, 0]');
+			assert.equal(bigint('+ @ 0'), '[0]');
+		});
+
+		it('still uses integers as lengths and indices', () => {
+			assert.equal(bigint('G "abcdef" 1 2'), '"bc"');
+			assert.equal(bigint('* "ab" 2'), '"abab"');
+			assert.equal(bigint('A 65'), '"A"');
+		});
+	});
+}
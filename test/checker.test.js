@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { check, infer } from '../src/checker.js';
+import { Interpreter, ParseError } from '../src/knight.js';
+
+/**
+ * Checks `source`, returning each problem's message and where it is.
+ *
+ * @param {string} source The code to check.
+ * @param {Object} [options] Options for `check`.
+ * @return {Array<string>} Each problem, as `column: message`.
+ */
+function problems(source, options) {
+	return check(source, options).map(({ message, span }) => `${span.start.column}: ${message}`);
+}
+
+describe('check', () => {
+	it('finds functions whose first argument is a literal that never supports them', () => {
+		assert.deepEqual(problems('- "a" 1'), ["1: cannot '-' a Str"]);
+		assert.deepEqual(problems('[ 5'), ["1: cannot '[' an Int"]);
+		assert.deepEqual(problems('/ @ 2'), ["1: cannot '/' a List"]);
+		assert.deepEqual(problems('+ N 1'), ["1: cannot '+' a Null"]);
+		assert.deepEqual(problems('< N 1'), ["1: cannot '<' a Null"]);
+		assert.deepEqual(problems('A T'), ["1: cannot 'A' a Bool"]);
+	});
+
+	it('works out what builtins return', () => {
+		assert.deepEqual(problems('; [ + "a" 1 ; ] * @ 2 ; - ! 1 2 - L "ab" 1'), ["25: cannot '-' a Bool"]);
+		assert.deepEqual(problems('- ^ , 1 2 1'), ["1: cannot '-' a Str"]);
+		assert.deepEqual(problems('- I T "a" @ 1'), ["1: cannot '-' a Str or a List"]);
+		assert.deepEqual(problems('- I T "a" 1 1'), []);
+		assert.deepEqual(problems('+ B a 2'), ["1: cannot '+' a Block"]);
+		assert.deepEqual(problems('+ B 1 2'), []);
+	});
+
+	it('works out the types of variables from everything assigned to them', () => {
+		assert.deepEqual(problems('; = a "x" - a 1'), ["11: cannot '-' a Str"]);
+		assert.deepEqual(problems('; = a "x" ; = b a - b 1'), ["19: cannot '-' a Str"]);
+		assert.deepEqual(problems('; = a "x" ; - a 1 = a 1'), []);
+		assert.deepEqual(problems('; = f B - n 1 ; = n "x" C f'), ["9: cannot '-' a Str"]);
+	});
+
+	it("doesn't report the same failure twice", () => {
+		assert.deepEqual(problems('- - "a" 1 1'), ["3: cannot '-' a Str"]);
+	});
+
+	it('assumes variables can be anything when they might be assigned by name', () => {
+		assert.deepEqual(problems('; = a "x" ; E "= a 1" - a 1'), []);
+		assert.deepEqual(problems('; = a "x" ; = "a" 1 - a 1'), []);
+
+		const interpreter = new Interpreter();
+		interpreter.register('X', () => null);
+
+		assert.deepEqual(problems('; = a "x" ; X - a 1', { interpreter }), []);
+		assert.deepEqual(problems('- X 1', { interpreter }), []);
+	});
+
+	it('can be given the types of each value', () => {
+		const program = new Interpreter().parse('; = a 1 ; = a "x" + a 1');
+		const types = infer(program);
+
+		assert.deepEqual(types.get(program), ['Int', 'Str']);
+		assert.deepEqual(types.get(program.args[0]), ['Int']);
+	});
+
+	it('fails on invalid code', () => {
+		assert.throws(() => check('+ 1'), ParseError);
+	});
+});
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Coverage, Interpreter, MemoryHost } from '../src/knight.js';
+
+/**
+ * Runs `source` as the file `test.kn`, returning what was recorded.
+ *
+ * @param {string} source The code to run.
+ * @return {Coverage}
+ */
+function cover(source) {
+	const coverage = new Coverage();
+
+	new Interpreter({ host: new MemoryHost(), coverage }).run(source, 'test.kn');
+	return coverage;
+}
+
+/**
+ * Returns the lines of `coverage.annotate()` that underline code that never ran, without the
+ * margin.
+ *
+ * @param {Coverage} coverage The coverage to annotate.
+ * @return {Array<string>}
+ */
+function missed(coverage) {
+	return coverage.annotate().split('\n').filter(line => /^ +\| .*\^/.test(line))
+		.map(line => line.replace(/^ +\| /, ''));
+}
+
+describe('Coverage', () => {
+	it('finds branches of I that never ran', () => {
+		assert.deepEqual(missed(cover('I T O 1 O 2')), ['        ^^^']);
+		assert.deepEqual(missed(cover('I F "a" "b"')), ['    ^^^']);
+		assert.deepEqual(missed(cover('I T "a" "b"')), ['        ^^^']);
+	});
+
+	it('finds loop bodies that never ran', () => {
+		assert.deepEqual(missed(cover('; = a 0 W a = a 1')), ['            ^^^^^']);
+		assert.deepEqual(missed(cover('; = a 0 W < a 2 = a + a 1')), []);
+	});
+
+	it('finds the second arguments of & and | that never ran', () => {
+		assert.deepEqual(missed(cover('& F 2')), ['    ^']);
+		assert.deepEqual(missed(cover('| T 2')), ['    ^']);
+		assert.deepEqual(missed(cover('| F 2')), []);
+	});
+
+	it('finds blocks that were never called', () => {
+		assert.deepEqual(missed(cover('; = a B 3 ; = b B + 1 2 C a')), ['                  ^^^^^']);
+	});
+
+	it('counts how many times each line ran', () => {
+		const coverage = cover('; = i 0\n; W < i 3\n\t= i + i 1\nN\n');
+
+		assert.equal(coverage.annotate(), [
+			'test.kn: 15 of 15 values run (100.0%)',
+			'       1 | ; = i 0',
+			'       4 | ; W < i 3',
+			'       3 | \t= i + i 1',
+			'       1 | N',
+			'',
+		].join('\n'));
+		assert.deepEqual(coverage.summary(), [{ filename: 'test.kn', total: 15, covered: 15 }]);
+	});
+
+	it('writes lcov reports', () => {
+		const lcov = cover('; = f B I n 1 2\n; = n 0 C f').lcov().split('\n');
+
+		assert.equal(lcov[1], 'SF:test.kn');
+		assert.ok(lcov.includes('FN:1,f@1:7'));
+		assert.ok(lcov.includes('FNDA:1,f@1:7'));
+		assert.ok(lcov.includes('BRDA:1,0,0,0'));
+		assert.ok(lcov.includes('BRDA:1,0,1,1'));
+		assert.ok(lcov.includes('DA:2,1'));
+		assert.equal(lcov.at(-2), 'end_of_record');
+	});
+
+	it("doesn't include code run by E", () => {
+		assert.deepEqual(cover('E "+ 1 2"').summary(), [{ filename: 'test.kn', total: 2, covered: 2 }]);
+	});
+
+	it('adds to the counts of files that are run again', () => {
+		const coverage = new Coverage();
+		const interpreter = new Interpreter({ host: new MemoryHost(), coverage });
+
+		interpreter.run('I T 1 2', 'test.kn');
+		interpreter.run('I T 1 2', 'test.kn');
+
+		assert.match(coverage.annotate(), /^ {7}2 \| I T 1 2$/m);
+	});
+
+	it('can only be used without vm or js', () => {
+		assert.throws(() => new Interpreter({ coverage: new Coverage(), vm: true }), Error);
+		assert.throws(() => new Interpreter({ coverage: new Coverage(), js: true }), Error);
+	});
+});
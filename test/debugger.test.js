@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Debugger, Interpreter, MemoryHost } from '../src/knight.js';
+import { run } from './helpers.js';
+
+/**
+ * Runs `source` with a debugger that's given `commands`, returning what the debugger wrote.
+ *
+ * @param {string} source The code to run.
+ * @param {Array<string>} commands The commands to enter, one per line.
+ * @param {Array<string>} [breakpoints] The breakpoints to start out with.
+ * @return {{ output: string, result: string }} The debugger's output, and the program's result.
+ */
+function debug(source, commands, breakpoints) {
+	const host = new MemoryHost(commands.map(command => `${command}\n`).join(''));
+	const { result } = run(source, { debugger: new Debugger({ host, breakpoints }) });
+
+	return { output: host.output, result: result.dump() };
+}
+
+/**
+ * Returns the `dump`s of the functions the debugger paused at in `output`.
+ *
+ * @param {string} output The debugger's output.
+ * @return {Array<string>}
+ */
+function pauses(output) {
+	return output.split('\n').filter(line => line.replace(/^(\(knight\) )+/, '').startsWith('Function('))
+		.map(line => line.replace(/^(\(knight\) )+/, '').match(/^Function\((.)/)[1]);
+}
+
+describe('Debugger', () => {
+	it('pauses before the first function, and steps into each function', () => {
+		const { output, result } = debug('; = a 3 + a 1', ['s', 's', 's']);
+
+		assert.deepEqual(pauses(output), [';', '=', '+']);
+		assert.match(output, /^<input>:1:1\n; = a 3 \+ a 1\n\^\nFunction\(;/);
+		assert.equal(result, '4');
+	});
+
+	it('steps over and out of functions', () => {
+		assert.deepEqual(pauses(debug('; + 1 2 - 3 4', ['s', 'n', 'n']).output), [';', '+', '-']);
+		assert.deepEqual(pauses(debug('; + * 1 2 3 - 3 4', ['s', 's', 'o']).output), [';', '+', '*', '-']);
+	});
+
+	it('pauses at breakpoints', () => {
+		const source = '; = a 1\n; = b 2\n; = a 3\nO a';
+
+		assert.deepEqual(pauses(debug(source, ['c', 'c', 'c'], ['= a']).output), ['=', '=']);
+		assert.deepEqual(pauses(debug(source, ['c'], ['4']).output), ['O']);
+		assert.deepEqual(pauses(debug(source, ['b OUTPUT', 'c', 'c']).output), [';', 'O']);
+	});
+
+	it('prints and sets variables', () => {
+		const { output, result } = debug('; = a 3 + a 1', ['s', 'n', 'p a', 'set a * 2 5', 'vars', 'c']);
+
+		assert.match(output, /\(knight\) 3\n/);
+		assert.match(output, /a = 10\n\(knight\) a = 10\n/);
+		assert.equal(result, '11');
+	});
+
+	it('shows the functions being run', () => {
+		const { output } = debug('; 1\n+ 2 3', ['s', 'where', 'c']);
+
+		assert.match(output, / {4}at \+ \(<input>:2:1\)\n {4}at ; \(<input>:1:1\)\n/);
+	});
+
+	it('continues without pausing once its input ends', () => {
+		assert.equal(debug('+ 1 + 2 3', []).result, '6');
+	});
+
+	it('rejects invalid breakpoints', () => {
+		assert.throws(() => new Debugger({ host: new MemoryHost(''), breakpoints: ['foo bar'] }), Error);
+	});
+
+	it("can't be used with the vm or js", () => {
+		const host = new MemoryHost('');
+
+		assert.throws(() => new Interpreter({ vm: true, debugger: new Debugger({ host }) }), Error);
+		assert.throws(() => new Interpreter({ js: true, debugger: new Debugger({ host }) }), Error);
+	});
+});
@@ -0,0 +1,193 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interpreter, RuntimeError } from '../src/knight.js';
+import { MODES, dump } from './helpers.js';
+
+/**
+ * Returns a function which checks that an error is a `RuntimeError` with the message `message`.
+ *
+ * @param {string} message The expected message.
+ * @return {function(Error): boolean}
+ */
+function runtimeError(message) {
+	return error => error instanceof RuntimeError && error.message === message;
+}
+
+/**
+ * A value of each type, and the functions that it supports.
+ *
+ * @type {Object.<string, [string, Array<string>]>}
+ */
+const VALUES = {
+	Null: ['N', []],
+	Bool: ['T', ['<', '>']],
+	Int: ['12', ['+', '-', '*', '/', '%', '^', '<', '>', 'A']],
+	Str: ['"abc"', ['+', '*', '<', '>', '[', ']', 'G', 'S', 'A']],
+	List: [', 1', ['+', '*', '^', '<', '>', '[', ']', 'G', 'S']],
+	Block: ['B a', []],
+};
+
+/**
+ * A call to each function that isn't defined for every type, with `$` in place of the value it's
+ * called on.
+ *
+ * @type {Object.<string, string>}
+ */
+const CALLS = {
+	'+': '+ $ 1',
+	'-': '- $ 1',
+	'*': '* $ 1',
+	'/': '/ $ 1',
+	'%': '% $ 1',
+	'^': '^ $ 1',
+	'<': '< $ 1',
+	'>': '> $ 1',
+	'[': '[ $',
+	']': '] $',
+	'G': 'G $ 0 1',
+	'S': 'S $ 0 1 ""',
+	'A': 'A $',
+};
+
+for (const [mode, options] of Object.entries(MODES)) {
+	const knight = source => dump(source, options);
+
+	describe(`errors (${mode})`, () => {
+		it('fails on unknown identifiers', () => {
+			assert.throws(() => knight('a'), runtimeError("Unknown identifier 'a'"));
+			assert.throws(() => knight('; = b B a C b'), runtimeError("Unknown identifier 'a'"));
+		});
+
+		it('fails on division and modulo by zero', () => {
+			assert.throws(() => knight('/ 1 0'), runtimeError('Cannot divide by zero'));
+			assert.throws(() => knight('% 1 0'), runtimeError('Cannot modulo by zero'));
+		});
+
+		it('fails on exponentiating zero to a negative power', () => {
+			assert.throws(() => knight('^ 0 ~1'), RuntimeError);
+		});
+
+		it('fails on * with negative or huge amounts', () => {
+			assert.throws(() => knight('* "a" ~1'), runtimeError("'*' with a negative amount (-1)"));
+			assert.throws(() => knight('* , 1 ~1'), runtimeError("'*' with a negative amount (-1)"));
+			assert.throws(() => knight('* "abc" 1000000000'),
+				runtimeError("'*' would create a string of length 3000000000, which is too long"));
+			assert.throws(() => knight('* + , 1 , 2 5000000000'),
+				runtimeError("'*' would create a list of length 10000000000, which is too long"));
+			assert.throws(() => knight('* , 1 4000000000'),
+				runtimeError("'*' would create a list of length 4000000000, which is too long"));
+			assert.throws(() => knight('* , 1 100000000'),
+				runtimeError("'*' would create a list of length 100000000, which is too long"));
+			assert.equal(knight('* @ 1000000000000'), '[]');
+			assert.equal(knight('* "" 1000000000000'), '""');
+		});
+
+		it('fails on [ and ] with empty values', () => {
+			assert.throws(() => knight('[ ""'), runtimeError('head on empty string'));
+			assert.throws(() => knight('] ""'), runtimeError('tail on empty string'));
+			assert.throws(() => knight('[ @'), runtimeError('head on empty list'));
+			assert.throws(() => knight('] @'), runtimeError('tail on empty list'));
+		});
+
+		it('fails on comparing null', () => {
+			assert.throws(() => knight('< N 1'), runtimeError("cannot '<' or '>' a Null"));
+			assert.throws(() => knight('> N 1'), runtimeError("cannot '<' or '>' a Null"));
+		});
+
+		it('fails on functions that are undefined for a type', () => {
+			for (const [type, [source, supported]] of Object.entries(VALUES)) {
+				const article = /^[AEIOU]/.test(type) ? 'an' : 'a';
+
+				for (const [name, call] of Object.entries(CALLS)) {
+					if (supported.includes(name)) {
+						continue;
+					}
+
+					const message = name === '<' || name === '>'
+						? `cannot '<' or '>' ${article} ${type}`
+						: `cannot '${name}' ${article} ${type}`;
+
+					assert.throws(() => knight(call.replace('$', source)), runtimeError(message), `${name} on ${type}`);
+				}
+			}
+		});
+
+		it('fails on functions that are undefined for blocks', () => {
+			assert.throws(() => knight('+ B a 1'), runtimeError("cannot '+' a Block"));
+			assert.throws(() => knight('; = f B + 1 2 - f 1'), runtimeError("cannot '-' a Block"));
+			assert.throws(() => knight('< B a 1'), runtimeError("cannot '<' or '>' a Block"));
+			assert.throws(() => knight('G B a 0 1'), runtimeError("cannot 'G' a Block"));
+			assert.throws(() => knight('A B a'), runtimeError("cannot 'A' a Block"));
+		});
+
+		it('compares blocks by identity', () => {
+			assert.equal(knight('; = f B a ? f f'), 'true');
+			assert.equal(knight('? B a B a'), 'false');
+			assert.equal(knight('? B a 1'), 'false');
+		});
+
+		it('fails on $ and P without a host that supports them', () => {
+			assert.throws(() => dump('$ "echo"', options), RuntimeError);
+		});
+	});
+}
+
+describe('error reports', () => {
+	for (const mode of ['tree', 'vm']) {
+		it(`include the location and call trace (${mode})`, () => {
+			assert.throws(() => dump('; = a 1\n+ a / 1 0', MODES[mode]), error => {
+				assert.equal(error.report(), [
+					'<input>:2:5',
+					'+ a / 1 0',
+					'    ^',
+					'',
+					'Knight Error: Cannot divide by zero',
+					'    at / (<input>:2:5)',
+					'    at + (<input>:2:1)',
+					'    at ; (<input>:1:1)',
+				].join('\n'));
+				return true;
+			});
+		});
+
+		it(`include blocks that are called, and functions within E (${mode})`, () => {
+			assert.throws(() => dump('; = f B / 1 0\nC f', MODES[mode]), error => {
+				assert.deepEqual(error.report().split('\n').slice(4), [
+					'Knight Error: Cannot divide by zero',
+					'    at / (<input>:1:9)',
+					'    at C f (<input>:2:1)',
+					'    at ; (<input>:1:1)',
+				]);
+				return true;
+			});
+
+			assert.throws(() => dump('E "+ 1 / 1 0"', MODES[mode]), error => {
+				assert.deepEqual(error.report().split('\n'), [
+					'<eval>:1:5',
+					'+ 1 / 1 0',
+					'    ^',
+					'',
+					'Knight Error: Cannot divide by zero',
+					'    at / (eval at E (<input>:1:1), <eval>:1:5)',
+					'    at + (eval at E (<input>:1:1), <eval>:1:1)',
+					'    at E (<input>:1:1)',
+				]);
+				return true;
+			});
+		});
+	}
+
+	it('include frames whose location is unknown', () => {
+		const interpreter = new Interpreter();
+		const value = interpreter.fromJSON(interpreter.parse('+ 1 / 1 0').toJSON());
+
+		assert.throws(() => interpreter.run(value), error => {
+			assert.equal(error.report(), [
+				'Knight Error: Cannot divide by zero',
+				'    at / (unknown location)',
+				'    at + (unknown location)',
+			].join('\n'));
+			return true;
+		});
+	});
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { format } from '../src/formatter.js';
+import { ParseError } from '../src/error.js';
+import { run } from './helpers.js';
+
+/**
+ * Programs that exercise every kind of layout, for checking that formatting is safe.
+ *
+ * @type {Array<string>}
+ */
+const PROGRAMS = [
+	'; = i 0 ; WHILE (< i 15) ; = i + i 1 : OUTPUT IF ! % i 15 "FizzBuzz" IF ! % i 3 "Fizz" i N',
+	'; = fib BLOCK IF < n 2 n ; = n - n 1 ; = a CALL fib ; = n - n 1 + a CALL fib ; = n 10 CALL fib',
+	'# comment\n+ 1 # one\n\t2 # two\n# after',
+	'; = a "multi\nline" ; OUTPUTa LENGTH a',
+	'& # why\n TRUE | FALSE NULL',
+	'+ "aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa" "bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb"',
+	'(+ (1) (2)) ignored',
+];
+
+describe('format', () => {
+	it('puts ; chains and W and I bodies on separate lines', () => {
+		assert.equal(format('; = i 0 ; W < i 3 = i + i 1 I T O i O 0'), [
+			'; = i 0',
+			'; W < i 3',
+			'\t= i + i 1',
+			'I T',
+			'\tO i',
+			'\tO 0',
+			'',
+		].join('\n'));
+	});
+
+	it('indents the arguments of functions that are too long for one line', () => {
+		assert.equal(format(`O + "${'a'.repeat(50)}" * "${'b'.repeat(30)}" 2`), [
+			`O + "${'a'.repeat(50)}"`,
+			`\t* "${'b'.repeat(30)}" 2`,
+			'',
+		].join('\n'));
+		assert.equal(format('= f B ; O 1 O 2'), '= f B\n\t; O 1\n\tO 2\n');
+	});
+
+	it('normalizes word functions and removes parentheses and colons', () => {
+		assert.equal(format('; OUTPUT (LENGTH TRUE) : NULL'), '; O L T\nN\n');
+		assert.equal(format('(; (= a 1) : OUTPUTa)'), '; = a 1\nO a\n');
+	});
+
+	it('keeps comments', () => {
+		assert.equal(format('# top\n; = a 1 # set a\n# then\n: O a\n# end'), [
+			'# top',
+			'; = a 1 # set a',
+			'# then',
+			'O a',
+			'# end',
+			'',
+		].join('\n'));
+		assert.equal(format('+ # one\n1 2'), '# one\n+ 1 2\n');
+		assert.equal(format('+ 1 # one\n2'), '+ 1 # one\n\t2\n');
+	});
+
+	it('keeps code after the program as-is', () => {
+		assert.equal(format('+ 1 2 3   4\n'), '+ 1 2\n3   4\n');
+	});
+
+	it('is idempotent', () => {
+		for (const program of PROGRAMS) {
+			const formatted = format(program);
+			assert.equal(format(formatted), formatted);
+		}
+	});
+
+	it("doesn't change what programs do", () => {
+		for (const program of PROGRAMS) {
+			const { result, output } = run(program);
+			const formatted = run(format(program));
+
+			assert.equal(formatted.result.dump(), result.dump());
+			assert.equal(formatted.output, output);
+		}
+	});
+
+	it('fails on invalid code', () => {
+		assert.throws(() => format('+ 1'), ParseError);
+		assert.throws(() => format('# nothing'), ParseError);
+	});
+});
@@ -0,0 +1,245 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExitError } from '../src/knight.js';
+import { MODES, dump, output } from './helpers.js';
+
+for (const [mode, options] of Object.entries(MODES)) {
+	const knight = source => dump(source, options);
+
+	describe(`functions (${mode})`, () => {
+		it('P reads a line, without its line ending', () => {
+			assert.equal(dump('P', { ...options, input: 'foo\nbar\n' }), '"foo"');
+			assert.equal(dump('; P P', { ...options, input: 'foo\r\nbar' }), '"bar"');
+		});
+
+		it('P returns null at the end of the input', () => {
+			assert.equal(dump('; P P', { ...options, input: 'foo\n' }), 'null');
+		});
+
+		it('R returns a non-negative integer', () => {
+			assert.equal(knight('< R 0'), 'false');
+			assert.equal(knight('? 0 * 0 R'), 'true');
+		});
+
+		it('E evaluates a string as code', () => {
+			assert.equal(knight('E "+ 1 2"'), '3');
+			assert.equal(knight('; = a 3 E "a"'), '3');
+			assert.equal(knight('; E "= a 4" a'), '4');
+			assert.equal(knight('E 12'), '12');
+		});
+
+		it('B and C delay and run code', () => {
+			assert.equal(knight('; = a B + 1 2 C a'), '3');
+			assert.equal(knight('; = x 1 ; = b B x ; = x 2 C b'), '2');
+			assert.equal(knight('; = n 0 ; = b B = n + n 1 ; C b ; C b n'), '2');
+		});
+
+		it('Q exits with the given status', () => {
+			assert.throws(() => knight('Q 3'), error => error instanceof ExitError && error.status === 3);
+		});
+
+		it('! negates the truthiness of its argument', () => {
+			assert.equal(knight('! 0'), 'true');
+			assert.equal(knight('! "a"'), 'false');
+			assert.equal(knight('! @'), 'true');
+			assert.equal(knight('! T'), 'false');
+		});
+
+		it('L returns the length of its argument as a list', () => {
+			assert.equal(knight('L "abc"'), '3');
+			assert.equal(knight('L 123'), '3');
+			assert.equal(knight('L @'), '0');
+			assert.equal(knight('L + @ "ab"'), '2');
+			assert.equal(knight('L T'), '1');
+			assert.equal(knight('L N'), '0');
+		});
+
+		it('D writes the debugging representation of its argument, and returns it', () => {
+			assert.equal(output(String.raw`D 'a\"b'`, options), String.raw`"a\\\"b"`);
+			assert.equal(output('D "a\nb\tc\rd"', options), '"a\\nb\\tc\\rd"');
+			assert.equal(output('D + @ 12', options), '[1, 2]');
+			assert.equal(output('D , "a"', options), '["a"]');
+			assert.equal(output('D ~ 3', options), '-3');
+			assert.equal(output('D T', options), 'true');
+			assert.equal(output('D N', options), 'null');
+			assert.equal(knight('D 3'), '3');
+		});
+
+		it('O writes its argument with a newline, and returns null', () => {
+			assert.equal(output('O "a"', options), 'a\n');
+			assert.equal(output('O 12', options), '12\n');
+			assert.equal(output('O T', options), 'true\n');
+			assert.equal(output('O N', options), '\n');
+			assert.equal(output('O + @ 12', options), '1\n2\n');
+			assert.equal(knight('O 1'), 'null');
+		});
+
+		it("O doesn't write a newline if its argument ends with a backslash", () => {
+			assert.equal(output('O "a\\"', options), 'a');
+			assert.equal(output('; O "a\\" O "b"', options), 'ab\n');
+		});
+
+		it('~ negates its argument', () => {
+			assert.equal(knight('~ 3'), '-3');
+			assert.equal(knight('~ "4"'), '-4');
+			assert.equal(knight('~ ~ 5'), '5');
+		});
+
+		it(', wraps its argument in a list', () => {
+			assert.equal(knight(', 1'), '[1]');
+			assert.equal(knight(', , 1'), '[[1]]');
+			assert.equal(knight(', @'), '[[]]');
+		});
+
+		it('[ returns the first element', () => {
+			assert.equal(knight('[ "abc"'), '"a"');
+			assert.equal(knight('[ + @ 12'), '1');
+		});
+
+		it('] returns everything but the first element', () => {
+			assert.equal(knight('] "abc"'), '"bc"');
+			assert.equal(knight('] , 1'), '[]');
+			assert.equal(knight('] + @ 123'), '[2, 3]');
+		});
+
+		it('A converts between integers and characters', () => {
+			assert.equal(knight('A 65'), '"A"');
+			assert.equal(knight('A 10'), '"\\n"');
+			assert.equal(knight('A "ab"'), '97');
+		});
+
+		it('+ adds integers, and concatenates strings and lists', () => {
+			assert.equal(knight('+ 1 "2"'), '3');
+			assert.equal(knight('+ 1 T'), '2');
+			assert.equal(knight('+ "a" 1'), '"a1"');
+			assert.equal(knight('+ "a" T'), '"atrue"');
+			assert.equal(knight('+ @ "ab"'), '["a", "b"]');
+			assert.equal(knight('+ , 1 , 2'), '[1, 2]');
+		});
+
+		it('- subtracts integers', () => {
+			assert.equal(knight('- 5 "2"'), '3');
+			assert.equal(knight('- 2 5'), '-3');
+		});
+
+		it('* multiplies integers, and repeats strings and lists', () => {
+			assert.equal(knight('* 3 4'), '12');
+			assert.equal(knight('* "ab" 3'), '"ababab"');
+			assert.equal(knight('* "a" 0'), '""');
+			assert.equal(knight('* , 1 3'), '[1, 1, 1]');
+			assert.equal(knight('* , 1 0'), '[]');
+		});
+
+		it('/ divides integers, truncating towards zero', () => {
+			assert.equal(knight('/ 7 2'), '3');
+			assert.equal(knight('/ ~7 2'), '-3');
+			assert.equal(knight('/ 7 ~2'), '-3');
+			assert.equal(knight('/ 7 "2"'), '3');
+		});
+
+		it('% returns the remainder of integers', () => {
+			assert.equal(knight('% 7 3'), '1');
+			assert.equal(knight('% 6 3'), '0');
+		});
+
+		it('^ exponentiates integers, and joins lists', () => {
+			assert.equal(knight('^ 2 10'), '1024');
+			assert.equal(knight('^ 2 0'), '1');
+			assert.equal(knight('^ + @ 123 "-"'), '"1-2-3"');
+			assert.equal(knight('^ + @ "ab" ""'), '"ab"');
+			assert.equal(knight('^ @ "x"'), '""');
+		});
+
+		it('< and > compare integers numerically', () => {
+			assert.equal(knight('< 1 2'), 'true');
+			assert.equal(knight('< 2 "10"'), 'true');
+			assert.equal(knight('> 2 1'), 'true');
+			assert.equal(knight('> 1 1'), 'false');
+		});
+
+		it('< and > compare strings lexicographically', () => {
+			assert.equal(knight('< "a" "b"'), 'true');
+			assert.equal(knight('< "10" "9"'), 'true');
+			assert.equal(knight('> "b" "a"'), 'true');
+			assert.equal(knight('< "a" "a"'), 'false');
+			assert.equal(knight('< "" "a"'), 'true');
+		});
+
+		it('< and > compare booleans', () => {
+			assert.equal(knight('< F T'), 'true');
+			assert.equal(knight('> T 0'), 'true');
+			assert.equal(knight('< T T'), 'false');
+		});
+
+		it('< and > compare lists element-wise, then by length', () => {
+			assert.equal(knight('< , 1 + @ 12'), 'true');
+			assert.equal(knight('< + @ 12 + @ 13'), 'true');
+			assert.equal(knight('> + @ 2 + @ 13'), 'true');
+			assert.equal(knight('< @ @'), 'false');
+		});
+
+		it('? compares values without conversion', () => {
+			assert.equal(knight('? 1 1'), 'true');
+			assert.equal(knight('? 1 "1"'), 'false');
+			assert.equal(knight('? "a" "a"'), 'true');
+			assert.equal(knight('? 0 F'), 'false');
+			assert.equal(knight('? T T'), 'true');
+			assert.equal(knight('? N N'), 'true');
+			assert.equal(knight('? @ @'), 'true');
+			assert.equal(knight('? + @ 12 + @ 12'), 'true');
+			assert.equal(knight('? + @ 12 + @ 21'), 'false');
+		});
+
+		it('& returns its first argument if falsey, otherwise its second', () => {
+			assert.equal(knight('& 1 2'), '2');
+			assert.equal(knight('& 0 2'), '0');
+			assert.equal(output('& "" O "x"', options), '');
+		});
+
+		it('| returns its first argument if truthy, otherwise its second', () => {
+			assert.equal(knight('| 0 2'), '2');
+			assert.equal(knight('| 3 2'), '3');
+			assert.equal(output('| 3 O "x"', options), '');
+		});
+
+		it('; runs its first argument, then returns its second', () => {
+			assert.equal(knight('; 1 2'), '2');
+			assert.equal(output('; O "a" O "b"', options), 'a\nb\n');
+		});
+
+		it('= assigns and returns its second argument', () => {
+			assert.equal(knight('= a 3'), '3');
+			assert.equal(knight('; = a 3 ; = a + a 1 a'), '4');
+		});
+
+		it('W loops while its condition is truthy, and returns null', () => {
+			assert.equal(knight('; = i 0 ; W < i 3 = i + i 1 i'), '3');
+			assert.equal(knight('W F 1'), 'null');
+		});
+
+		it('I returns its second or third argument based on its first', () => {
+			assert.equal(knight('I 1 2 3'), '2');
+			assert.equal(knight('I "" 2 3'), '3');
+			assert.equal(output('I T O "a" O "b"', options), 'a\n');
+		});
+
+		it('G returns a substring or sublist', () => {
+			assert.equal(knight('G "abcd" 1 2'), '"bc"');
+			assert.equal(knight('G "abc" 0 3'), '"abc"');
+			assert.equal(knight('G "abc" 3 0'), '""');
+			assert.equal(knight('G + @ 1234 1 2'), '[2, 3]');
+			assert.equal(knight('G + @ 123 3 0'), '[]');
+		});
+
+		it('S replaces a substring or sublist', () => {
+			assert.equal(knight('S "abcd" 1 2 "X"'), '"aXd"');
+			assert.equal(knight('S "abc" 0 0 "x"'), '"xabc"');
+			assert.equal(knight('S "abc" 3 0 "d"'), '"abcd"');
+			assert.equal(knight('S "abc" 0 3 ""'), '""');
+			assert.equal(knight('S "abc" 1 1 @'), '"ac"');
+			assert.equal(knight('S + @ 123 1 1 + @ 99'), '[1, 9, 9, 3]');
+			assert.equal(knight('S @ 0 0 , 1'), '[1]');
+			assert.equal(knight('S + @ 12 2 0 "ab"'), '[1, 2, "a", "b"]');
+		});
+	});
+}
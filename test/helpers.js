@@ -0,0 +1,53 @@
+import { Interpreter, MemoryHost } from '../src/knight.js';
+
+/**
+ * @typedef {import('../src/value.js').default} Value
+ */
+
+/**
+ * The ways that an `Interpreter` can execute code, as options for its constructor.
+ *
+ * @type {Object.<string, Object>}
+ */
+export const MODES = {
+	tree: {},
+	vm: { vm: true },
+	js: { js: true },
+};
+
+/**
+ * Runs `source` with a new `Interpreter` that uses a `MemoryHost`.
+ *
+ * @param {string} source The code to run.
+ * @param {Object} [options] Options for the `Interpreter`.
+ * @param {string} [options.input] The input that `P` reads from.
+ * @return {{ result: Value, output: string }} The result of running the code, and what it wrote.
+ */
+export function run(source, { input = '', ...options } = {}) {
+	const host = new MemoryHost(input);
+	const result = new Interpreter({ host, ...options }).run(source);
+
+	return { result, output: host.output };
+}
+
+/**
+ * Runs `source`, returning the debugging representation of its result.
+ *
+ * @param {string} source The code to run.
+ * @param {Object} [options] Options for `run`.
+ * @return {string}
+ */
+export function dump(source, options) {
+	return run(source, options).result.dump();
+}
+
+/**
+ * Runs `source`, returning what it wrote.
+ *
+ * @param {string} source The code to run.
+ * @param {Object} [options] Options for `run`.
+ * @return {string}
+ */
+export function output(source, options) {
+	return run(source, options).output;
+}
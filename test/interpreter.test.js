@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interpreter, BudgetError, ConsoleHost, ExitError, MemoryHost, RuntimeError } from '../src/knight.js';
+import { Interpreter as NodeInterpreter, NodeHost } from '../src/node.js';
+import { MODES, dump } from './helpers.js';
+
+describe('Interpreter', () => {
+	it('keeps variables between runs', () => {
+		const interpreter = new Interpreter();
+
+		interpreter.run('= a 3');
+		assert.equal(interpreter.run('a').dump(), '3');
+	});
+
+	it("doesn't share variables with other interpreters", () => {
+		new Interpreter().run('= a 3');
+		assert.throws(() => new Interpreter().run('a'), RuntimeError);
+	});
+
+	it('does all of its I/O through its host', () => {
+		const calls = [];
+		const host = {
+			readLine: () => (calls.push(['readLine']), 'line'),
+			write: string => calls.push(['write', string]),
+			shell: command => (calls.push(['shell', command]), 'out'),
+			exit: status => calls.push(['exit', status]),
+		};
+
+		new Interpreter({ host }).run('; O P ; D $ "cmd" ; O "a\\" Q 3');
+		assert.deepEqual(calls, [
+			['readLine'], ['write', 'line\n'], ['shell', 'cmd'], ['write', '"out"'], ['write', 'a'], ['exit', 3],
+		]);
+	});
+
+	it('reads input from, and collects output in, a MemoryHost', () => {
+		const host = new MemoryHost('first\nsecond');
+
+		new Interpreter({ host }).run('; O P ; O P O P');
+		assert.equal(host.output, 'first\nsecond\n\n');
+		assert.throws(() => new Interpreter({ host }).run('Q 2'), error => error instanceof ExitError && error.status === 2);
+	});
+
+	it('uses a NodeHost by default in Node, and a ConsoleHost elsewhere', () => {
+		assert.ok(new NodeInterpreter().host instanceof NodeHost);
+		assert.ok(new NodeInterpreter() instanceof Interpreter);
+		assert.ok(new Interpreter().host instanceof ConsoleHost);
+	});
+
+	it('writes partial lines to a ConsoleHost when it finishes running', t => {
+		const log = t.mock.method(console, 'log', () => {});
+		const interpreter = new Interpreter({ host: new ConsoleHost() });
+
+		interpreter.run('; O "a\\" ; O "b" D 3');
+		assert.deepEqual(log.mock.calls.map(call => call.arguments), [['ab'], ['3']]);
+
+		assert.throws(() => interpreter.run('; O "c\\" Q 0'), ExitError);
+		assert.deepEqual(log.mock.calls.at(-1).arguments, ['c']);
+	});
+
+	for (const [mode, options] of Object.entries(MODES)) {
+		it(`limits the amount of steps (${mode})`, () => {
+			assert.throws(() => dump('W T N', { ...options, maxSteps: 100 }),
+				error => error instanceof BudgetError && error.steps === 100);
+			assert.equal(dump('+ 1 2', { ...options, maxSteps: 1 }), '3');
+		});
+
+		it(`limits how long code can run for (${mode})`, () => {
+			assert.throws(() => dump('W T N', { ...options, timeoutMs: 50 }), BudgetError);
+			assert.equal(dump('+ 1 2', { ...options, timeoutMs: 10_000 }), '3');
+		});
+
+		it(`resets the budget for each run (${mode})`, () => {
+			const interpreter = new Interpreter({ ...options, maxSteps: 10 });
+
+			for (let i = 0; i < 3; i++) {
+				assert.equal(interpreter.run('+ 1 + 2 3').dump(), '6');
+			}
+		});
+
+		it(`runs functions that were registered (${mode})`, () => {
+			const interpreter = new Interpreter({ ...options, host: new MemoryHost() });
+			let calls = 0;
+
+			// Arguments are passed unevaluated, as they are to builtins.
+			interpreter.register('X', function (lhs, rhs) {
+				calls++;
+				return lhs.run().toBoolean() ? rhs.run() : lhs.run();
+			});
+
+			assert.equal(interpreter.run('; = i 0 ; W < i 3 ; = i + i 1 X 0 O "no" X i "yes"').dump(), '"yes"');
+			assert.equal(interpreter.host.output, '');
+			assert.equal(calls, 4);
+		});
+
+		it(`limits the length of strings and lists (${mode})`, () => {
+			assert.throws(() => dump('* "abc" 1000000000', { ...options, maxStringLength: 10 }), RuntimeError);
+			assert.throws(() => dump('+ , 1 * , 1 10', { ...options, maxListLength: 10 }), RuntimeError);
+			assert.equal(dump('* "ab" 5', { ...options, maxStringLength: 10 }), '"ababababab"');
+		});
+
+		it(`denies capabilities (${mode})`, () => {
+			assert.throws(() => dump('E "1"', { ...options, deny: ['eval'] }), error =>
+				error instanceof RuntimeError && error.message === 'permission denied: E');
+			assert.equal(dump('I F E "1" 2', { ...options, deny: ['eval'] }), '2');
+
+			for (const [capability, source] of [['shell', '$ "ls"'], ['exit', 'Q 0'], ['input', 'P']]) {
+				const name = source[0];
+
+				assert.throws(() => dump(source, { ...options, deny: [capability] }), error =>
+					error instanceof RuntimeError && error.message === `permission denied: ${name}`);
+				assert.equal(dump(`I F ${source} 2`, { ...options, deny: [capability] }), '2');
+			}
+		});
+	}
+
+	it('runs deeply recursive code with a VM', () => {
+		const source = '; = f B I < n 1 0 + 1 ; = n - n 1 C f ; = n 20000 C f';
+
+		assert.equal(dump(source, { vm: true }), '20000');
+		assert.throws(() => dump(source, { vm: true, maxDepth: 100 }), RuntimeError);
+	});
+
+	it('counts E towards the maximum depth of a VM', () => {
+		const source = '; = f B I < n 1 0 + 1 ; = n - n 1 E "C f" ; = n 10 C f';
+
+		assert.equal(dump(source, { vm: true, maxDepth: 100 }), '10');
+		assert.throws(() => dump(source, { vm: true, maxDepth: 10 }), RuntimeError);
+	});
+
+	it('only allows a maximum depth with a VM', () => {
+		assert.throws(() => new Interpreter({ maxDepth: 100 }), Error);
+		assert.throws(() => new Interpreter({ vm: true, js: true, maxDepth: 100 }), Error);
+	});
+});
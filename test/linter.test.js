@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lint } from '../src/linter.js';
+import { ParseError } from '../src/error.js';
+
+/**
+ * Lints `source`, returning each warning's rule and where it is.
+ *
+ * @param {string} source The code to lint.
+ * @param {Object.<string, boolean>} [rules] Whether to check each rule.
+ * @return {Array<string>} Each warning, as `rule@line:column`.
+ */
+function warnings(source, rules) {
+	return lint(source, { rules }).map(({ rule, span }) => `${rule}@${span.start.line}:${span.start.column}`);
+}
+
+describe('lint', () => {
+	it('finds identifiers that are read, but never assigned', () => {
+		assert.deepEqual(warnings('; = a 1 O + a b'), ['undefined-variable@1:15']);
+		assert.deepEqual(warnings('; = f B O n ; = n 1 C f'), []);
+		assert.deepEqual(warnings('a'), ['undefined-variable@1:1']);
+	});
+
+	it('finds identifiers that are assigned, but never read', () => {
+		assert.deepEqual(warnings('; = a 1\n; = b a\n= b 2'), ['unused-variable@2:5']);
+		assert.deepEqual(warnings('; = a 1 = b + a 1'), ['unused-variable@1:11']);
+	});
+
+	it("doesn't check identifiers in programs that could refer to them by name", () => {
+		assert.deepEqual(warnings('; = a 1 E "b"'), []);
+		assert.deepEqual(warnings('; = "a" 1 b'), ['non-identifier-assignment@1:5']);
+	});
+
+	it("finds W's whose condition is always true, and that have no Q", () => {
+		assert.deepEqual(warnings('W T O 1'), ['infinite-loop@1:1']);
+		assert.deepEqual(warnings('W "a" Q 0'), []);
+		assert.deepEqual(warnings('; = f B Q 0 W 1 C f'), []);
+		assert.deepEqual(warnings('W F O 1'), []);
+	});
+
+	it('finds branches of I that never run', () => {
+		assert.deepEqual(warnings('I T 1 2'), ['dead-branch@1:7']);
+		assert.deepEqual(warnings('I @ 1 2'), ['dead-branch@1:5']);
+		assert.deepEqual(warnings('I (! T) 1 2'), []);
+	});
+
+	it('can have rules turned off', () => {
+		assert.deepEqual(warnings('; I T 1 2 W T a', { 'dead-branch': false, 'undefined-variable': false }),
+			['infinite-loop@1:11']);
+		assert.throws(() => lint('1', { rules: { nope: false } }), /Unknown lint rule 'nope'/);
+	});
+
+	it('describes each problem', () => {
+		assert.deepEqual(lint('= a 1', { filename: 'test.kn' }).map(({ message, span }) => `${span}: ${message}`),
+			["test.kn:1:3: 'a' is assigned, but never read"]);
+	});
+
+	it('fails on invalid code', () => {
+		assert.throws(() => lint('+ 1'), ParseError);
+	});
+});
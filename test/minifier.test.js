@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { minify } from '../src/minifier.js';
+import { ParseError } from '../src/error.js';
+import { run } from './helpers.js';
+
+/**
+ * A program that uses every kind of token, for checking that minifying is safe.
+ *
+ * @type {string}
+ */
+const PROGRAM = `# count to three
+; = counter 007
+; WHILE (< counter 3)
+	; = counter + counter 1
+	: OUTPUT IF (? counter 2) "two" counter
+; = _under TRUE
+: DUMP + , _under , NULL`;
+
+describe('minify', () => {
+	it('removes comments, whitespace, and parentheses', () => {
+		assert.equal(minify('# comment\n(+ (1) : 2) # another'), '+1 2');
+	});
+
+	it('only keeps the spaces that separate tokens', () => {
+		assert.equal(minify('; = a 1 ; = b_2 a + 12 b_2'), ';=a 1;=b_2 a+12b_2');
+		assert.equal(minify('OUTPUT TRUE'), 'O T');
+		assert.equal(minify('; = _a 1 OUTPUT _a'), ';=_a 1O_a');
+		assert.equal(minify('OUTPUT "a"'), 'O"a"');
+	});
+
+	it('separates adjacent identifiers that contain underscores', () => {
+		assert.equal(minify('+ a_ _b'), '+a_ _b');
+		assert.equal(minify('+ _ __'), '+_ __');
+		assert.equal(minify('+ x_1 _2'), '+x_1 _2');
+	});
+
+	it('shortens word functions, booleans, null, and integers', () => {
+		assert.equal(minify('LENGTH IF FALSE NULL 0012'), 'L I F N12');
+		assert.equal(minify('+ 0 000'), '+0 0');
+	});
+
+	it('renames identifiers, giving the most used the shortest names', () => {
+		assert.equal(minify('; = rare 1 ; = often 2 + often often', { rename: true }), ';=b 1;=a 2+a a');
+		assert.equal(minify('; = a 1 = b a', { rename: true }), ';=a 1=b a');
+	});
+
+	it("doesn't rename identifiers in programs that could refer to them by name", () => {
+		assert.throws(() => minify('; = foo 1 E "foo"', { rename: true }), Error);
+		assert.throws(() => minify('; = "foo" 1 foo', { rename: true }), Error);
+	});
+
+	it("doesn't change what programs do", () => {
+		for (const rename of [false, true]) {
+			const { result, output } = run(PROGRAM);
+			const minified = run(minify(PROGRAM, { rename }));
+
+			assert.equal(minified.result.dump(), result.dump());
+			assert.equal(minified.output, output);
+		}
+	});
+
+	it('fails on invalid code', () => {
+		assert.throws(() => minify('+ 1'), ParseError);
+	});
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interpreter, ParseError, RuntimeError } from '../src/knight.js';
+import { MODES, dump } from './helpers.js';
+
+for (const [mode, options] of Object.entries(MODES)) {
+	const wrap = (source, intWidth) => dump(source, { ...options, overflow: 'wrap', intWidth });
+	const check = (source, intWidth) => dump(source, { ...options, overflow: 'check', intWidth });
+
+	describe(`overflow policies (${mode})`, () => {
+		it('wraps 32-bit integers', () => {
+			assert.equal(wrap('+ 2147483647 1'), '-2147483648');
+			assert.equal(wrap('- ~2147483647 2'), '2147483647');
+			assert.equal(wrap('* 123456789 987654321'), '-67153019');
+			assert.equal(wrap('/ ~2147483647 ~1'), '2147483647');
+			assert.equal(wrap('^ 7 100'), '1027218017');
+			assert.equal(wrap('~ - ~2147483647 1'), '-2147483648');
+			assert.equal(wrap('4294967297'), '1');
+			assert.equal(wrap('+ 0 "99999999999999999999"'), '1661992959');
+		});
+
+		it('wraps 64-bit integers', () => {
+			assert.equal(wrap('+ 9223372036854775807 1', 64), '-9223372036854775808');
+			assert.equal(wrap('* 123456789 987654321', 64), '121932631112635269');
+			assert.equal(wrap('^ 7 100', 64), '3728452490685454945');
+			assert.equal(wrap('+ 0 "99999999999999999999"', 64), '7766279631452241919');
+		});
+
+		it('checks for overflow', () => {
+			assert.throws(() => check('+ 2147483647 1'), RuntimeError);
+			assert.throws(() => check('* 65536 65536'), RuntimeError);
+			assert.throws(() => check('^ 2 31'), RuntimeError);
+			assert.throws(() => check('~ - ~2147483647 1'), RuntimeError);
+			assert.throws(() => check('+ 0 "2147483648"'), RuntimeError);
+			assert.throws(() => check('2147483648'), ParseError);
+			assert.throws(() => check('+ 9223372036854775807 1', 64), RuntimeError);
+			assert.equal(check('+ 2147483647 1', 64), '2147483648');
+			assert.equal(check('^ 2 30'), '1073741824');
+		});
+
+		it('only returns random integers that fit', () => {
+			assert.equal(wrap('< R 0'), 'false');
+			assert.equal(check('< R 0', 64), 'false');
+		});
+	});
+}
+
+describe('overflow options', () => {
+	it('rejects unknown policies and widths', () => {
+		assert.throws(() => new Interpreter({ overflow: 'saturate' }), Error);
+		assert.throws(() => new Interpreter({ overflow: 'wrap', intWidth: 16 }), Error);
+	});
+
+	it('uses BigInts for 64-bit integers', () => {
+		assert.equal(new Interpreter({ overflow: 'wrap', intWidth: 64 }).bigint, true);
+	});
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interpreter, IncompleteParseError, KnightError, ParseError, RuntimeError } from '../src/knight.js';
+import { dump, output } from './helpers.js';
+
+describe('parsing', () => {
+	it('parses integers', () => {
+		assert.equal(dump('123'), '123');
+		assert.equal(dump('007'), '7');
+	});
+
+	it('parses strings without escapes', () => {
+		assert.equal(dump('"a\'b"'), '"a\'b"');
+		assert.equal(dump("'a\"b'"), '"a\\"b"');
+		assert.equal(dump('L "a\\nb"'), '4');
+		assert.equal(dump('"a\nb"'), '"a\\nb"');
+	});
+
+	it('parses identifiers', () => {
+		assert.equal(dump('; = a_1 3 a_1'), '3');
+		assert.equal(dump('; = _ 1 _'), '1');
+		assert.equal(dump('; = abc 1 ; = ab 2 abc'), '1');
+	});
+
+	it('parses @ as an empty list', () => {
+		assert.equal(dump('@'), '[]');
+	});
+
+	it('swallows the rest of the word after word functions', () => {
+		assert.equal(dump('TRUE'), 'true');
+		assert.equal(dump('FALSE'), 'false');
+		assert.equal(dump('NULL'), 'null');
+		assert.equal(dump('LENGTH "ab"'), '2');
+		assert.equal(output('OUTPUT "a"'), 'a\n');
+		assert.equal(dump('IF TRUE 1 2'), '1');
+	});
+
+	it('stops word functions at other characters', () => {
+		assert.equal(dump('+ 1TRUE'), '2');
+		assert.equal(dump('; = a 4 LENGTHa'), '1');
+		assert.equal(dump('+1 2'), '3');
+	});
+
+	it('treats parentheses and colons as whitespace', () => {
+		assert.equal(dump('(+ 1 2)'), '3');
+		assert.equal(dump(': : 3'), '3');
+		assert.equal(dump('+(1)(2)'), '3');
+	});
+
+	it('ignores comments', () => {
+		assert.equal(dump('# a comment\n3'), '3');
+		assert.equal(dump('+ 1 # a comment\n2'), '3');
+		assert.equal(dump('"# not a comment"'), '"# not a comment"');
+	});
+
+	it('only parses the first value', () => {
+		assert.equal(dump('1 2'), '1');
+	});
+
+	it('fails when no value can be parsed', () => {
+		assert.throws(() => dump(''), ParseError);
+		assert.throws(() => dump('# just a comment'), ParseError);
+		assert.throws(() => dump(')'), ParseError);
+	});
+
+	it('fails when the input ends too early', () => {
+		assert.throws(() => dump('+ 1'), IncompleteParseError);
+		assert.throws(() => dump('"abc'), IncompleteParseError);
+		assert.throws(() => dump("; 1 'abc"), IncompleteParseError);
+	});
+
+	it('fails when an argument is missing before the end of the input', () => {
+		assert.throws(() => dump('+ 1 }'), error => error instanceof KnightError && !(error instanceof IncompleteParseError));
+	});
+
+	it('records where each value was parsed', () => {
+		const program = new Interpreter().parse('; = abc 1\n  + abc "x\ny"', 'test.kn');
+		const [, add] = program.args;
+
+		assert.equal(String(program.span), 'test.kn:1:1');
+		assert.deepEqual(add.span.toJSON(), {
+			filename: 'test.kn',
+			start: { offset: 12, line: 2, column: 3 },
+			end: { offset: 23, line: 3, column: 3 },
+		});
+		assert.equal(String(add.args[0].span), 'test.kn:2:5');
+		assert.equal(String(add.args[1].span), 'test.kn:2:9');
+	});
+
+	it('reports where errors occurred', () => {
+		const span = (source, type) => {
+			try {
+				new Interpreter().run(source, 'test.kn');
+			} catch (error) {
+				assert.ok(error instanceof type);
+				return String(error.span);
+			}
+
+			assert.fail(`${JSON.stringify(source)} didn't fail`);
+		};
+
+		assert.equal(span('+ 1', IncompleteParseError), 'test.kn:1:1');
+		assert.equal(span('\n  + 1 &', IncompleteParseError), 'test.kn:2:7');
+		assert.equal(span('; = a 1\n  b', RuntimeError), 'test.kn:2:3');
+		assert.equal(span('; = a 1\n\t+ a / 1 0', RuntimeError), 'test.kn:2:6');
+	});
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Interpreter, Profiler } from '../src/knight.js';
+import { run } from './helpers.js';
+
+/**
+ * Runs `source` with a profiler whose clock advances by 1ms each time it's read.
+ *
+ * @param {string} source The code to run.
+ * @return {Profiler}
+ */
+function profile(source) {
+	let time = 0;
+	const profiler = new Profiler({ now: () => time++ });
+
+	run(source, { profiler });
+	return profiler;
+}
+
+describe('Profiler', () => {
+	it('counts calls and time by location', () => {
+		const profiler = profile('; = a 1\n+ a 2');
+
+		assert.deepEqual(profiler.functions(), [
+			{ name: ';', location: '<input>:1:1', calls: 1, total: 5, self: 3 },
+			{ name: '=', location: '<input>:1:3', calls: 1, total: 1, self: 1 },
+			{ name: '+', location: '<input>:2:1', calls: 1, total: 1, self: 1 },
+		]);
+	});
+
+	it('groups functions by name', () => {
+		const profiler = profile('; = i 0 W < i 3 = i + i 1');
+		const names = Object.fromEntries(profiler.names().map(({ name, calls }) => [name, calls]));
+
+		assert.deepEqual(names, { ';': 1, '=': 4, 'W': 1, '<': 4, '+': 3 });
+	});
+
+	it("doesn't count recursive calls more than once in the total", () => {
+		const profiler = profile('; = f B I n ; = n - n 1 C f 0 ; = n 3 C f');
+		const call = profiler.functions().find(stats => stats.name === 'C f' && stats.location === '<input>:1:25');
+		const program = profiler.functions().find(stats => stats.name === ';' && stats.location === '<input>:1:1');
+
+		assert.equal(call.calls, 3);
+		assert.ok(call.total < program.total);
+		assert.ok(profiler.names().every(stats => stats.total <= program.total));
+	});
+
+	it('counts reads and writes of identifiers', () => {
+		const profiler = profile('; = i 0 ; W < i 3 = i + i 1 = j i');
+
+		assert.deepEqual(profiler.identifiers(), [
+			{ name: 'i', reads: 8, writes: 4 },
+			{ name: 'j', reads: 0, writes: 1 },
+		]);
+	});
+
+	it('stops timing functions that are still running', () => {
+		let time = 0;
+		const profiler = new Profiler({ now: () => time++ });
+
+		profiler.enter({ name: 'Q', span: null, traceName: () => 'Q' });
+		profiler.stop();
+
+		assert.deepEqual(profiler.functions(), [{ name: 'Q', location: null, calls: 1, total: 1, self: 1 }]);
+	});
+
+	it('writes a report, JSON, and a .cpuprofile', () => {
+		const profiler = profile('; = a 1 a');
+		const cpuProfile = profiler.toCpuProfile();
+
+		assert.match(profiler.report(), /^\s+1\s+3\.000\s+2\.000 {2}; \(<input>:1:1\)$/m);
+		assert.match(profiler.report(), /^\s+1\s+1 {2}a$/m);
+		assert.deepEqual(JSON.parse(JSON.stringify(profiler)).identifiers, [{ name: 'a', reads: 1, writes: 1 }]);
+
+		assert.deepEqual(cpuProfile.nodes.map(node => node.callFrame.functionName), ['(root)', ';', '=']);
+		assert.deepEqual(cpuProfile.nodes[1].callFrame, {
+			functionName: ';', scriptId: '0', url: '<input>', lineNumber: 0, columnNumber: 0,
+		});
+		assert.deepEqual(cpuProfile.samples, [2, 3]);
+		assert.deepEqual(cpuProfile.timeDeltas, [2000, 1000]);
+		assert.equal(cpuProfile.endTime - cpuProfile.startTime, 3000);
+	});
+
+	it('can only be used without vm or js', () => {
+		assert.throws(() => new Interpreter({ profiler: new Profiler(), vm: true }), Error);
+		assert.throws(() => new Interpreter({ profiler: new Profiler(), js: true }), Error);
+	});
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const KNIGHT = fileURLToPath(new URL('../knight', import.meta.url));
+
+/**
+ * Runs the REPL with `lines` as its input, and returns what it wrote to stdout.
+ *
+ * The history is saved to a temporary home directory, so the user's isn't touched.
+ *
+ * @param {Array<string>} lines The lines to enter.
+ * @return {string}
+ */
+function repl(lines) {
+	const home = mkdtempSync(join(tmpdir(), 'knight-repl-'));
+
+	try {
+		return execFileSync(process.execPath, [KNIGHT, '-i'], {
+			input: lines.map(line => `${line}\n`).join(''),
+			env: { ...process.env, HOME: home },
+			stdio: ['pipe', 'pipe', 'ignore'],
+			timeout: 10_000,
+		}).toString();
+	} finally {
+		rmSync(home, { recursive: true, force: true });
+	}
+}
+
+describe('REPL', () => {
+	it('keeps variables between inputs', () => {
+		assert.equal(repl(['= a 3', '+ a 1']), '> 3\n> 4\n> ');
+	});
+
+	it('reads more lines when the input is incomplete', () => {
+		assert.equal(repl(['+ 1', '2']), '> ... 3\n> ');
+	});
+
+	it('lists, resets, and loads variables', () => {
+		const file = join(mkdtempSync(join(tmpdir(), 'knight-load-')), 'load.kn');
+
+		writeFileSync(file, '= b 2');
+
+		try {
+			assert.equal(repl(['= a "x"', ':vars', ':reset', ':vars', `:load ${file}`, 'b']),
+				'> "x"\n> a = "x"\n> > > 2\n> 2\n> ');
+		} finally {
+			rmSync(dirname(file), { recursive: true, force: true });
+		}
+	});
+
+	it("doesn't wait for more lines when E fails to parse", () => {
+		assert.equal(repl(['E "+ 1"', '4']), '> > 4\n> ');
+	});
+});
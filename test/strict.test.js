@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RuntimeError, ParseError } from '../src/error.js';
+import { MODES, dump } from './helpers.js';
+
+for (const [mode, options] of Object.entries(MODES)) {
+	const strict = source => dump(source, { ...options, strict: true });
+
+	describe(`strict mode (${mode})`, () => {
+		it('fails on integers that overflow 32 bits', () => {
+			assert.throws(() => strict('+ 2147483647 1'), RuntimeError);
+			assert.throws(() => strict('- ~2147483647 2'), RuntimeError);
+			assert.throws(() => strict('* 65536 65536'), RuntimeError);
+			assert.throws(() => strict('^ 2 31'), RuntimeError);
+			assert.throws(() => strict('+ 0 "2147483648"'), RuntimeError);
+			assert.throws(() => strict('2147483648'), ParseError);
+			assert.equal(strict('+ 2147483646 1'), '2147483647');
+			assert.equal(strict('- ~2147483647 1'), '-2147483648');
+		});
+
+		it('fails on A with invalid characters', () => {
+			assert.throws(() => strict('A 200'), RuntimeError);
+			assert.throws(() => strict('A 0'), RuntimeError);
+			assert.throws(() => strict('A ""'), RuntimeError);
+			assert.equal(strict('A 10'), '"\\n"');
+			assert.equal(strict('A 126'), '"~"');
+		});
+
+		it('fails on G and S with negative or out-of-bounds ranges', () => {
+			assert.throws(() => strict('G "abc" ~1 1'), RuntimeError);
+			assert.throws(() => strict('G "abc" 0 ~1'), RuntimeError);
+			assert.throws(() => strict('G "abc" 2 2'), RuntimeError);
+			assert.throws(() => strict('G + @ 12 3 0'), RuntimeError);
+			assert.throws(() => strict('S "abc" 4 0 "x"'), RuntimeError);
+			assert.throws(() => strict('S @ 0 1 @'), RuntimeError);
+			assert.equal(strict('G "abc" 3 0'), '""');
+			assert.equal(strict('S "abc" 3 0 "d"'), '"abcd"');
+		});
+
+		it('fails on %, ^, and * with negative numbers', () => {
+			assert.throws(() => strict('% ~3 2'), RuntimeError);
+			assert.throws(() => strict('% 3 ~2'), RuntimeError);
+			assert.throws(() => strict('^ 2 ~1'), RuntimeError);
+			assert.throws(() => strict('* "a" ~1'), RuntimeError);
+			assert.throws(() => strict('* , 1 ~1'), RuntimeError);
+		});
+
+		it('fails on functions that are undefined for a type', () => {
+			assert.throws(() => strict('+ N 1'), RuntimeError);
+			assert.throws(() => strict('^ T 1'), RuntimeError);
+			assert.throws(() => strict('[ 12'), RuntimeError);
+			assert.throws(() => strict('< B a 1'), RuntimeError);
+		});
+
+		it('fails on comparing lists with elements of different types', () => {
+			assert.throws(() => strict('< + @ 1 , "a"'), RuntimeError);
+			assert.throws(() => strict('> , T , 1'), RuntimeError);
+			assert.equal(strict('< + @ 12 + @ 13'), 'true');
+			assert.equal(strict('< , 1 + @ 12'), 'true');
+		});
+
+		it('is off by default', () => {
+			assert.equal(dump('+ 2147483647 1', options), '2147483648');
+			assert.equal(dump('G "abc" 2 5', options), '"c"');
+			assert.equal(dump('< + @ 1 , "a"', options), 'false');
+		});
+	});
+}
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Interpreter, MemoryHost, RuntimeError } from '../src/knight.js';
+import transpile, { toModule } from '../src/transpiler.js';
+import { MODES } from './helpers.js';
+
+const KNIGHT = fileURLToPath(new URL('../knight', import.meta.url));
+
+/**
+ * Runs `node` with `args`, returning what it wrote to stdout.
+ *
+ * @param {Array<string>} args The arguments to pass.
+ * @return {string}
+ */
+function node(args) {
+	return execFileSync(process.execPath, args, { stdio: ['ignore', 'pipe', 'ignore'], timeout: 10_000 })
+		.toString();
+}
+
+/**
+ * Converts `source` into a module with `toModule`, and imports it.
+ *
+ * @param {string} source The code to convert.
+ * @param {Object} [options] The options for the interpreter that parses `source`.
+ * @return {Promise<Object>} The module.
+ */
+function importModule(source, options) {
+	const interpreter = new Interpreter(options);
+	const code = toModule(interpreter.parse(source), interpreter);
+
+	return import(`data:text/javascript,${encodeURIComponent(code)}`);
+}
+
+describe('transpiler', () => {
+	it('keeps variables in JavaScript variables when it can', () => {
+		const interpreter = new Interpreter();
+		const code = transpile(interpreter.parse('; = a 3 + a 1'));
+
+		assert.match(code, /\$a = interpreter\.variables\.get\('a'\)/);
+		assert.doesNotMatch(code, /rt\.lookup/);
+	});
+
+	it('looks variables up at runtime when E is used', () => {
+		const interpreter = new Interpreter();
+
+		assert.match(transpile(interpreter.parse('; = a 3 E "a"')), /rt\.assign/);
+	});
+
+	it('looks variables up at runtime when blocks are created or called', () => {
+		const interpreter = new Interpreter();
+
+		assert.match(transpile(interpreter.parse('= f B + x 5')), /rt\.lookup/);
+		assert.match(transpile(interpreter.parse('C f')), /rt\.lookup/);
+	});
+
+	it('fails on functions that aren\'t builtins', () => {
+		const interpreter = new Interpreter();
+
+		interpreter.register('X', () => null);
+		assert.throws(() => transpile(interpreter.parse('X')), Error);
+	});
+
+	it('creates modules that export the result', async () => {
+		assert.equal((await importModule('; = a 3 + a E "a"')).default.dump(), '6');
+	});
+
+	it('creates modules with the same settings as the interpreter', async () => {
+		assert.equal((await importModule('^ 2 64', { bigint: true })).default.dump(), '18446744073709551616');
+		assert.equal((await importModule('+ 2147483647 1', { overflow: 'wrap' })).default.dump(), '-2147483648');
+		await assert.rejects(importModule('+ 2147483647 1', { strict: true }), RuntimeError);
+		await assert.rejects(importModule('* "ab" 3', { maxStringLength: 5 }), RuntimeError);
+	});
+
+	it('creates modules whose denied functions fail when run', async () => {
+		const denied = error => error instanceof RuntimeError && error.message === 'permission denied: $';
+
+		await assert.rejects(importModule('$ "ls"', { deny: ['shell'] }), denied);
+		await assert.rejects(importModule('E "$ \'ls\'"', { deny: ['shell'] }), denied);
+		assert.equal((await importModule('I F $ "ls" 2', { deny: ['shell'] })).default.dump(), '2');
+	});
+});
+
+describe('blocks', () => {
+	for (const [mode, options] of Object.entries(MODES)) {
+		it(`see the variables of later runs (${mode})`, () => {
+			const interpreter = new Interpreter({ host: new MemoryHost(), ...options });
+
+			assert.equal(interpreter.run('; = x 1 ; = f B + x 5 C f').dump(), '6');
+			assert.equal(interpreter.run('; = x 2 C f').dump(), '7');
+			assert.equal(interpreter.run('; = f B = x 3 ; C f x').dump(), '3');
+			assert.equal(interpreter.run('; = x 4 ; C f x').dump(), '3');
+		});
+	}
+});
+
+describe('--js and --emit-js', () => {
+	it('run the program as JavaScript', () => {
+		assert.equal(node([KNIGHT, '--js', '-e', '; = a 3 O + a 4']), '7\n');
+	});
+
+	it('write modules that run the program', () => {
+		const dir = mkdtempSync(join(tmpdir(), 'knight-js-'));
+		const file = join(dir, 'program.mjs');
+
+		try {
+			node([KNIGHT, '--emit-js', file, '-e', '; = a 3 O + a 4']);
+			assert.equal(node([file]), '7\n');
+			assert.match(node([KNIGHT, '--emit-js', '-', '-e', 'O 1']), /^import \* as rt from/);
+		} finally {
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { dump } from './helpers.js';
+
+/**
+ * Returns the results of converting `value` to each type, using `+` (and `!` for booleans).
+ *
+ * @param {string} value The code for the value to convert.
+ * @return {{ number: string, string: string, boolean: string, array: string }}
+ */
+function conversions(value) {
+	return {
+		number: dump(`+ 0 ${value}`),
+		string: dump(`+ "" ${value}`),
+		boolean: dump(`! ! ${value}`),
+		array: dump(`+ @ ${value}`),
+	};
+}
+
+describe('Int', () => {
+	it('converts to other types', () => {
+		assert.deepEqual(conversions('123'), { number: '123', string: '"123"', boolean: 'true', array: '[1, 2, 3]' });
+		assert.deepEqual(conversions('0'), { number: '0', string: '"0"', boolean: 'false', array: '[0]' });
+	});
+
+	it('converts negative numbers to negated digits', () => {
+		assert.deepEqual(conversions('~12'), { number: '-12', string: '"-12"', boolean: 'true', array: '[-1, -2]' });
+	});
+});
+
+describe('Str', () => {
+	it('converts to other types', () => {
+		assert.deepEqual(conversions('"ab"'), { number: '0', string: '"ab"', boolean: 'true', array: '["a", "b"]' });
+		assert.deepEqual(conversions('""'), { number: '0', string: '""', boolean: 'false', array: '[]' });
+	});
+
+	it('is truthy when it only contains "0"', () => {
+		assert.equal(dump('! ! "0"'), 'true');
+	});
+
+	it('converts to a number by parsing leading whitespace, a sign, and digits', () => {
+		assert.equal(dump('+ 0 "  12abc"'), '12');
+		assert.equal(dump('+ 0 "\n\t 7"'), '7');
+		assert.equal(dump('+ 0 "-3"'), '-3');
+		assert.equal(dump('+ 0 "+4"'), '4');
+		assert.equal(dump('+ 0 "1 2"'), '1');
+		assert.equal(dump('+ 0 "a1"'), '0');
+		assert.equal(dump('+ 0 "-"'), '0');
+	});
+});
+
+describe('Bool', () => {
+	it('converts to other types', () => {
+		assert.deepEqual(conversions('T'), { number: '1', string: '"true"', boolean: 'true', array: '[true]' });
+		assert.deepEqual(conversions('F'), { number: '0', string: '"false"', boolean: 'false', array: '[]' });
+	});
+});
+
+describe('Null', () => {
+	it('converts to other types', () => {
+		assert.deepEqual(conversions('N'), { number: '0', string: '""', boolean: 'false', array: '[]' });
+	});
+});
+
+describe('List', () => {
+	it('converts to other types', () => {
+		assert.deepEqual(conversions('+ @ 12'), { number: '2', string: '"1\\n2"', boolean: 'true', array: '[1, 2]' });
+		assert.deepEqual(conversions('@'), { number: '0', string: '""', boolean: 'false', array: '[]' });
+	});
+
+	it('is truthy when it only contains falsey values', () => {
+		assert.equal(dump('! ! , 0'), 'true');
+	});
+
+	it('converts nested lists to strings recursively', () => {
+		assert.equal(dump('+ "" + , + @ 12 , "a"'), '"1\\n2\\na"');
+	});
+});